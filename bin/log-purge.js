@@ -7,6 +7,13 @@
 
 const { program } = require('commander');
 const { run } = require('../src/processor');
+const { check, FORMATS } = require('../src/check');
+const { restore, history } = require('../src/history');
+const { watch, DEFAULT_DEBOUNCE } = require('../src/watch');
+const { JournalError } = require('../src/journal');
+const { GitError, installHook } = require('../src/git');
+const { DEFAULT_CONCURRENCY } = require('../src/pool');
+const { loadConfig, ConfigError, DEFAULT_OPTIONS, CONSOLE_FORMATS, REPORT_FORMATS } = require('../src/config');
 const packageJson = require('../package.json');
 const gradient = require('gradient-string');
 const chalk = require('chalk');
@@ -30,37 +37,207 @@ const showTitle = () => {
   console.log(customGradient(`                                     v${packageJson.version} by New Horizon Code\n`));
 };
 
-async function main() {
-  showTitle();
+/**
+ * Parses an integer option value; invalid input is left for config validation to report.
+ */
+function parseInteger(value) {
+  return /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+}
 
-  program
-    .version(packageJson.version)
-    .argument('<pattern>', 'Glob pattern for files to scan (e.g., "src/**/*.js") or folder path for batch processing')
-    .option('-m, --mode <mode>', 'Operation mode: remove, comment, or replace', 'remove')
-    .option('-r, --replaceWith <string>', 'Replacement string for "replace" mode (e.g., "logger.info(")')
-    .option('-i, --ignore <pattern>', 'Glob pattern for files to ignore')
-    .option('--extensions <exts>', 'File extensions to process when using folder paths (e.g., "js,ts,jsx,tsx")', 'js,ts,jsx,tsx,vue')
-    .option('--batch-folders', 'Enable batch folder processing with detailed folder statistics', false)
-    .option('--dry-run', 'Scan files and show what would be changed without modifying them', false)
-    .option('-y, --yes', 'Skip the confirmation prompt before making changes', false)
-    .option('--report [filename]', 'Generate a markdown summary report')
-    .parse(process.argv);
-
-  const options = program.opts();
-  const pattern = program.args[0];
-
-  if (options.mode === 'replace' && !options.replaceWith) {
-    console.error(chalk.red('Error: The --replaceWith <string> option is required for "replace" mode.'));
-    process.exit(1);
+/**
+ * Collects the values of a repeatable option into an array.
+ */
+function collect(value, previous) {
+  return (previous || []).concat(value);
+}
+
+/**
+ * Merges config file and command-line options for a command, exiting with a
+ * readable message when the configuration is invalid.
+ */
+function resolveOptions(command, inputPatterns) {
+  const { config, ...opts } = command.opts();
+  // Only flags typed on the command line may override the config file.
+  const cliOptions = Object.fromEntries(
+    Object.entries(opts).filter(([key]) => command.getOptionValueSource(key) === 'cli')
+  );
+
+  try {
+    const { patterns, options, configPath } = loadConfig({ patterns: inputPatterns, cliOptions, config });
+    // Machine-readable check output goes to stdout, so nothing else may be printed there
+    const quiet = command.name() === 'check' && !CONSOLE_FORMATS.includes(options.format);
+    if (!quiet) {
+      showTitle();
+      if (configPath) {
+        console.log(chalk.gray(`Using config from ${configPath}`));
+      }
+    }
+    return { patterns, options };
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    throw error;
   }
+}
 
+/**
+ * Runs a command action, reporting unexpected errors and exiting non-zero.
+ */
+async function execute(action) {
   try {
-    await run(pattern, options);
+    await action();
   } catch (error) {
+    if (error instanceof JournalError || error instanceof GitError || error instanceof ConfigError) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
     console.error(`\n${chalk.red.bold('An unexpected error occurred:')}`);
     console.error(error);
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+async function main() {
+  program
+    .version(packageJson.version)
+    .enablePositionalOptions()
+    .addHelpText('beforeAll', () => {
+      showTitle();
+      return '';
+    })
+    .argument('[patterns...]', 'Glob patterns for files to scan (e.g., "src/**/*.js") or folder paths for batch processing. Optional when set in a config file')
+    .option('-m, --mode <mode>', 'Operation mode: remove, comment, or replace', DEFAULT_OPTIONS.mode)
+    .option('-r, --replaceWith <string>', 'Replacement string for "replace" mode (e.g., "logger.info(")')
+    .option('--replace-map <map>', 'Per-method targets for "replace" mode (e.g., "log=logger.debug,error=logger.error,table=drop")')
+    .option('--logger-import <module>', 'In "replace" mode, import the logger from this module in files that need it (e.g., "@/lib/logger")')
+    .option('--methods <list>', 'Comma-separated console methods to process (e.g., "log,debug,table"); all by default')
+    .option('--keep <list>', 'Comma-separated console methods to leave untouched (e.g., "error,warn")')
+    .option('--keep-side-effects', 'When removing a call, keep arguments that may have side effects (e.g., "console.log(save())" becomes "save();")')
+    .option('--targets <list>', 'Comma-separated extra callees or statements to purge (e.g., "logger.trace,debug,this.$log.*,debugger")')
+    .option('-i, --ignore <pattern>', 'Glob pattern for files to ignore (repeatable)', collect)
+    .option('--no-default-ignore', 'Also scan node_modules, dist, coverage and other folders skipped by default')
+    .option('--extensions <exts>', 'File extensions to process when using folder paths (e.g., "js,ts,jsx,tsx")', DEFAULT_OPTIONS.extensions)
+    .option('--batch-folders', 'Enable batch folder processing with detailed folder statistics', DEFAULT_OPTIONS.batchFolders)
+    .option('--dry-run', 'Scan files and show what would be changed without modifying them', DEFAULT_OPTIONS.dryRun)
+    .option('-y, --yes', 'Skip the confirmation prompt before making changes', DEFAULT_OPTIONS.yes)
+    .option('--diff', 'Print a colorized unified diff of every change')
+    .option('--patch <file>', 'Write the changes as a patch that "git apply" accepts')
+    .option('--source-map', 'Write a source map for every modified file, chained onto the map it already points to')
+    .option('--interactive', 'Review each console statement and approve it (y/n/a/q) before it is changed')
+    .option('--report [filename]', 'Generate a summary report (markdown unless --format is given)')
+    .option('-f, --format <format>', `Report format: ${REPORT_FORMATS.join(', ')}, or the path to a formatter module; implies --report`)
+    .option('--concurrency <n>', `Maximum number of files processed at once (default: ${DEFAULT_CONCURRENCY})`, parseInteger)
+    .option('--workers [count]', 'Parse files on worker threads (default: one per CPU core)', parseInteger)
+    .option('--max-file-size <size>', 'Skip files larger than this, e.g. minified bundles ("512kb", "2mb")')
+    .option('--staged', 'Only process files staged in git (purged files are staged again)')
+    .option('--changed-since <ref>', 'Only process files changed since a git ref (e.g., "main")')
+    .option('--only-changed-lines', 'With --staged or --changed-since, only touch console calls on changed lines')
+    .option('-c, --config <path>', 'Path to a config file (log-purge.config.js, .log-purgerc.json or package.json)')
+    .option('--no-config', 'Ignore config files and use only CLI flags')
+    .action((inputPatterns, _opts, command) => execute(async () => {
+      const { patterns, options } = resolveOptions(command, inputPatterns);
+      await run(patterns, options);
+    }));
+
+  program
+    .command('check')
+    .description('Report console statements without modifying files; exits non-zero when too many are found (for CI)')
+    .argument('[patterns...]', 'Glob patterns or folder paths to check. Optional when set in a config file')
+    .option('-i, --ignore <pattern>', 'Glob pattern for files to ignore (repeatable)', collect)
+    .option('--no-default-ignore', 'Also check node_modules, dist, coverage and other folders skipped by default')
+    .option('--extensions <exts>', 'File extensions to process when using folder paths (e.g., "js,ts,jsx,tsx")', DEFAULT_OPTIONS.extensions)
+    .option('--methods <list>', 'Comma-separated console methods to report (e.g., "log,debug,table"); all by default')
+    .option('--keep <list>', 'Comma-separated console methods that are allowed (e.g., "error,warn")')
+    .option('--targets <list>', 'Comma-separated extra callees or statements to report (e.g., "logger.trace,debug,debugger")')
+    .option('--max-warnings <n>', 'Number of console statements allowed before the check fails', parseInteger, DEFAULT_OPTIONS.maxWarnings)
+    .option('--concurrency <n>', `Maximum number of files processed at once (default: ${DEFAULT_CONCURRENCY})`, parseInteger)
+    .option('--workers [count]', 'Parse files on worker threads (default: one per CPU core)', parseInteger)
+    .option('--max-file-size <size>', 'Skip files larger than this, e.g. minified bundles ("512kb", "2mb")')
+    .option('-f, --format <format>', `Output format: ${FORMATS.join(', ')}, or the path to a formatter module`, DEFAULT_OPTIONS.format)
+    .option('--staged', 'Only check files staged in git')
+    .option('--changed-since <ref>', 'Only check files changed since a git ref (e.g., "main")')
+    .option('--only-changed-lines', 'With --staged or --changed-since, only report console calls on changed lines')
+    .option('-c, --config <path>', 'Path to a config file (log-purge.config.js, .log-purgerc.json or package.json)')
+    .option('--no-config', 'Ignore config files and use only CLI flags')
+    .action((inputPatterns, _opts, command) => execute(async () => {
+      const { patterns, options } = resolveOptions(command, inputPatterns);
+      const { passed } = await check(patterns, options);
+      if (!passed) {
+        process.exitCode = 1;
+      }
+    }));
+
+  program
+    .command('watch')
+    .description('Watch files and report new console statements on save, or purge them with --fix')
+    .argument('[patterns...]', 'Glob patterns or folder paths to watch. Optional when set in a config file')
+    .option('--fix', 'Purge console statements when a file is saved instead of reporting them')
+    .option('-m, --mode <mode>', 'Operation mode for --fix: remove, comment, or replace', DEFAULT_OPTIONS.mode)
+    .option('-r, --replaceWith <string>', 'Replacement string for "replace" mode (e.g., "logger.info(")')
+    .option('--replace-map <map>', 'Per-method targets for "replace" mode (e.g., "log=logger.debug,error=logger.error,table=drop")')
+    .option('--logger-import <module>', 'In "replace" mode, import the logger from this module in files that need it (e.g., "@/lib/logger")')
+    .option('--methods <list>', 'Comma-separated console methods to process (e.g., "log,debug,table"); all by default')
+    .option('--keep <list>', 'Comma-separated console methods to leave untouched (e.g., "error,warn")')
+    .option('--keep-side-effects', 'When removing a call, keep arguments that may have side effects')
+    .option('--targets <list>', 'Comma-separated extra callees or statements to purge (e.g., "logger.trace,debug,debugger")')
+    .option('-i, --ignore <pattern>', 'Glob pattern for files to ignore (repeatable)', collect)
+    .option('--no-default-ignore', 'Also watch node_modules, dist, coverage and other folders skipped by default')
+    .option('--extensions <exts>', 'File extensions to process when using folder paths (e.g., "js,ts,jsx,tsx")', DEFAULT_OPTIONS.extensions)
+    .option('--max-file-size <size>', 'Skip files larger than this, e.g. minified bundles ("512kb", "2mb")')
+    .option('--debounce <ms>', `Milliseconds to wait after a change before checking the file (default: ${DEFAULT_DEBOUNCE})`, parseInteger)
+    .option('-c, --config <path>', 'Path to a config file (log-purge.config.js, .log-purgerc.json or package.json)')
+    .option('--no-config', 'Ignore config files and use only CLI flags')
+    .action((inputPatterns, _opts, command) => execute(async () => {
+      const { patterns, options } = resolveOptions(command, inputPatterns);
+      const watcher = await watch(patterns, options);
+      process.once('SIGINT', () => execute(async () => {
+        const { checked, purged, findings, runId } = await watcher.close();
+        console.log(chalk.cyan(`\nStopped watching after ${checked} check${checked === 1 ? '' : 's'}: ${options.fix ? `${purged} console calls purged` : `${findings} console calls open`}.`));
+        if (runId) {
+          console.log(chalk.gray(`Undo with: log-purge restore ${runId}`));
+        }
+      }));
+    }));
+
+  program
+    .command('restore')
+    .description('Roll back the files changed by a run (the latest one by default)')
+    .argument('[runId]', 'ID of the run to restore, as shown by "log-purge history"')
+    .option('--force', 'Also restore files that were edited or deleted after the run', false)
+    .action((runId, opts) => execute(async () => {
+      showTitle();
+      const { skipped } = await restore(runId, opts);
+      if (skipped > 0) {
+        process.exitCode = 1;
+      }
+    }));
+
+  program
+    .command('history')
+    .description('List past runs that can be restored')
+    .action(() => execute(() => {
+      showTitle();
+      return history();
+    }));
+
+  program
+    .command('install-hook')
+    .description('Install a git pre-commit hook that blocks new console statements')
+    .option('--fix', 'Purge console statements from staged changes instead of failing the commit', false)
+    .option('--append', 'Add log-purge to an existing pre-commit hook instead of refusing', false)
+    .action(opts => execute(async () => {
+      showTitle();
+      const command = opts.fix
+        ? 'npx --no-install log-purge --staged --only-changed-lines --yes'
+        : 'npx --no-install log-purge check --staged --only-changed-lines';
+      const { hookPath, action } = await installHook({ command, append: opts.append });
+      console.log(chalk.green(`Pre-commit hook ${action}: ${hookPath}`));
+      console.log(chalk.gray(`Runs: ${command}`));
+    }));
+
+  await program.parseAsync(process.argv);
+}
+
+main();
@@ -0,0 +1,119 @@
+const chalk = require('chalk');
+const { purgeFiles } = require('./processor');
+const { CHECK_FORMATS: FORMATS, CONSOLE_FORMATS, ConfigError } = require('./config');
+const { buildReport, describeFinding } = require('./report');
+const { getFormatter } = require('./formatters');
+
+/**
+ * Builds the human-readable message for a detected console call.
+ */
+function describe(log) {
+  return describeFinding(log, 'check');
+}
+
+/**
+ * Escapes a value for use in a GitHub Actions workflow command.
+ */
+function escapeGithub(value, isProperty = false) {
+  let escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  if (isProperty) {
+    escaped = escaped.replace(/:/g, '%3A').replace(/,/g, '%2C');
+  }
+  return escaped;
+}
+
+// Console formatters. Each receives the sorted results and returns the lines to print;
+// the other formats are rendered from the report model by the report formatters.
+const formatters = {
+  stylish(results) {
+    const lines = [];
+    results.forEach(result => {
+      if (result.status === 'error') {
+        lines.push(chalk.underline(result.filePath));
+        lines.push(`  ${chalk.red('error')}  ${result.error}`);
+        lines.push('');
+      } else if (result.detectedLogs.length > 0) {
+        lines.push(chalk.underline(result.filePath));
+        result.detectedLogs.forEach(log => {
+          lines.push(`  ${chalk.dim(`${result.filePath}:${log.line}:${log.column}`)}  ${chalk.yellow('warning')}  ${describe(log)}`);
+        });
+        lines.push('');
+      }
+    });
+    return lines;
+  },
+
+  compact(results) {
+    const lines = [];
+    results.forEach(result => {
+      if (result.status === 'error') {
+        lines.push(`${result.filePath}:1:1: error - ${result.error}`);
+      } else {
+        result.detectedLogs.forEach(log => {
+          lines.push(`${result.filePath}:${log.line}:${log.column}: warning - ${describe(log)}`);
+        });
+      }
+    });
+    return lines;
+  },
+
+  github(results) {
+    const lines = [];
+    results.forEach(result => {
+      const file = escapeGithub(result.filePath.replace(/\\/g, '/'), true);
+      if (result.status === 'error') {
+        lines.push(`::error file=${file},line=1,col=1,title=log-purge::${escapeGithub(result.error)}`);
+      } else {
+        result.detectedLogs.forEach(log => {
+          lines.push(`::warning file=${file},line=${log.line},col=${log.column},title=log-purge::${escapeGithub(describe(log))}`);
+        });
+      }
+    });
+    return lines;
+  },
+};
+
+/**
+ * Scans files for console statements without modifying anything and prints a
+ * diagnostic for every hit, or the whole report in a machine-readable format.
+ *
+ * @returns {Promise<{ warningCount: number, errorCount: number, fileCount: number, passed: boolean }>}
+ */
+async function check(patterns, options) {
+  const format = options.format || 'stylish';
+  if (format === 'markdown') {
+    throw new ConfigError('The markdown format is only available for purge reports (--report).');
+  }
+  const maxWarnings = options.maxWarnings === undefined ? 0 : options.maxWarnings;
+
+  const { files, inputs, isFolder, results: rawResults, executionTime } = await purgeFiles(patterns, { ...options, mode: 'remove', dryRun: true });
+  // Calls excluded by --methods / --keep are allowed and never reported.
+  const results = rawResults.map(result => ({ ...result, detectedLogs: result.detectedLogs.filter(log => log.action !== 'kept') }));
+
+  const warningCount = results.reduce((sum, r) => sum + r.detectedLogs.length, 0);
+  const errorCount = results.filter(r => r.status === 'error').length;
+  const skippedCount = results.filter(r => r.status === 'skipped').length;
+  const tooManyWarnings = maxWarnings >= 0 && warningCount > maxWarnings;
+  const passed = errorCount === 0 && !tooManyWarnings;
+
+  if (CONSOLE_FORMATS.includes(format)) {
+    formatters[format](results).forEach(line => console.log(line));
+  } else {
+    const report = buildReport({ command: 'check', results: rawResults, options, inputs, isFolder, executionTime });
+    process.stdout.write(getFormatter(format).format(report));
+  }
+
+  if (format === 'stylish') {
+    const summary = `${warningCount} console statement${warningCount === 1 ? '' : 's'} in ${files.length} file${files.length === 1 ? '' : 's'}`
+      + (errorCount > 0 ? `, ${errorCount} file${errorCount === 1 ? '' : 's'} could not be parsed` : '')
+      + (skippedCount > 0 ? `, ${skippedCount} skipped` : '');
+    console.log(passed ? chalk.green.bold(`✔ ${summary}`) : chalk.red.bold(`✖ ${summary}`));
+    if (tooManyWarnings) {
+      console.log(chalk.red(`Log-Purge found too many console statements (maximum: ${maxWarnings}).`));
+    }
+  }
+
+  return { warningCount, errorCount, fileCount: files.length, passed };
+}
+
+module.exports = { FORMATS, check };
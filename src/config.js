@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const { CONSOLE_METHODS, DEBUGGER_TARGET, TARGET_PATTERN_REGEX } = require('./detector');
+
+// File names searched for, in order, in each directory while walking up from cwd.
+const CONFIG_FILES = ['log-purge.config.js', '.log-purgerc.json', 'package.json'];
+
+// Key holding the configuration inside package.json.
+const PACKAGE_JSON_KEY = 'logPurge';
+
+const MODES = ['remove', 'comment', 'replace'];
+
+// Formats the `check` command prints for people and CI logs rather than for other tools.
+const CONSOLE_FORMATS = ['stylish', 'compact', 'github'];
+
+// Output formats of the `check` command.
+const CHECK_FORMATS = [...CONSOLE_FORMATS, 'json', 'sarif', 'junit'];
+
+// Formats of the report file written by a purge run (--report / --format).
+const REPORT_FORMATS = ['markdown', 'json', 'sarif', 'junit'];
+
+// A custom formatter is given as the path to a CommonJS module.
+const isFormatterModule = value => typeof value === 'string' && /\.c?js$/.test(value);
+
+// Built-in defaults; the lowest level of precedence.
+const DEFAULT_OPTIONS = {
+  mode: 'remove',
+  extensions: 'js,ts,jsx,tsx,vue',
+  batchFolders: false,
+  defaultIgnore: true,
+  dryRun: false,
+  yes: false,
+  maxWarnings: 0,
+  format: 'stylish',
+};
+
+/**
+ * Validates a list of console methods given as a comma-separated string or an array.
+ */
+function checkMethodList(value) {
+  const list = typeof value === 'string' ? splitList(value) : value;
+  if (!Array.isArray(list) || !list.every(method => typeof method === 'string')) {
+    return 'must be a comma-separated string or an array of console method names';
+  }
+  const unknown = list.filter(method => !CONSOLE_METHODS.includes(method));
+  if (unknown.length > 0) {
+    return `contains unknown console method(s) ${unknown.map(m => `"${m}"`).join(', ')}; supported: ${CONSOLE_METHODS.join(', ')}`;
+  }
+  return true;
+}
+
+/**
+ * Splits a comma-separated list into trimmed, non-empty entries.
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validates the "replace" mode map of console method to logger callee (or "drop").
+ */
+function checkReplaceMap(value) {
+  const map = typeof value === 'string' ? parseReplaceMap(value) : value;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    return 'must be an object (or "method=target,..." string) mapping console methods to targets';
+  }
+  const unknown = Object.keys(map).filter(method => !CONSOLE_METHODS.includes(method));
+  if (unknown.length > 0) {
+    return `contains unknown console method(s) ${unknown.map(m => `"${m}"`).join(', ')}; supported: ${CONSOLE_METHODS.join(', ')}`;
+  }
+  const invalid = Object.entries(map).filter(([, target]) => typeof target !== 'string' || !target.trim());
+  if (invalid.length > 0) {
+    return `needs a non-empty target for ${invalid.map(([m]) => `"${m}"`).join(', ')}`;
+  }
+  return true;
+}
+
+/**
+ * Parses "log=logger.debug,table=drop" into { log: 'logger.debug', table: 'drop' }.
+ */
+function parseReplaceMap(value) {
+  return Object.fromEntries(splitList(value).map(entry => {
+    const [method, ...target] = entry.split('=');
+    return [method.trim(), target.join('=').trim()];
+  }));
+}
+
+// Keys of a target given as an object.
+const TARGET_KEYS = ['pattern', 'mode', 'replaceWith'];
+
+/**
+ * Validates the purge targets besides console: callee patterns such as
+ * "logger.trace", "debug" or "this.$log.*" and "debugger", each as a string
+ * or as { pattern, mode, replaceWith }. A comma-separated string is accepted
+ * too.
+ */
+function checkTargets(value) {
+  const list = typeof value === 'string' ? splitList(value) : value;
+  if (!Array.isArray(list)) {
+    return 'must be a comma-separated string or an array of targets';
+  }
+  for (const entry of list) {
+    const target = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (!target || typeof target !== 'object' || typeof target.pattern !== 'string') {
+      return 'must list callee patterns or objects { pattern, mode, replaceWith }';
+    }
+    const unknown = Object.keys(target).filter(key => !TARGET_KEYS.includes(key));
+    if (unknown.length > 0) {
+      return `has unknown key(s) ${unknown.map(k => `"${k}"`).join(', ')} for "${target.pattern}"; expected ${TARGET_KEYS.map(k => `"${k}"`).join(', ')}`;
+    }
+    if (!TARGET_PATTERN_REGEX.test(target.pattern) || /^\*(?:\.\*)*$/.test(target.pattern)) {
+      return `contains invalid pattern "${target.pattern}"; use names separated by dots, with * for any one name (e.g. "logger.trace" or "this.$log.*")`;
+    }
+    if (target.mode !== undefined && !MODES.includes(target.mode)) {
+      return `has an invalid mode for "${target.pattern}"; must be one of ${MODES.map(m => `"${m}"`).join(', ')}`;
+    }
+    if (target.replaceWith !== undefined && (typeof target.replaceWith !== 'string' || !target.replaceWith.trim())) {
+      return `needs a non-empty "replaceWith" for "${target.pattern}"`;
+    }
+  }
+  return true;
+}
+
+/**
+ * Validates the logger import injected in "replace" mode.
+ */
+function checkLoggerImport(value) {
+  if (typeof value === 'string') return value.trim() !== '' || 'must not be empty';
+  if (!value || typeof value !== 'object' || typeof value.source !== 'string') {
+    return 'must be a module path or an object { source, name, named }';
+  }
+  if (value.name !== undefined && !/^[A-Za-z_$][\w$]*$/.test(value.name)) {
+    return '"name" must be a valid identifier';
+  }
+  if (value.named !== undefined && typeof value.named !== 'boolean') {
+    return '"named" must be a boolean';
+  }
+  return true;
+}
+
+/**
+ * Parses a size such as 1048576, "512kb" or "2mb" into bytes; NaN when invalid.
+ */
+function parseSize(value) {
+  if (typeof value === 'number') return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) return NaN;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value >= 1;
+
+const isStringOrStringArray = value => typeof value === 'string'
+  || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+// Validators for every option a config file may set.
+const OPTION_TYPES = {
+  mode: value => MODES.includes(value) || `must be one of ${MODES.map(m => `"${m}"`).join(', ')}`,
+  replaceWith: value => typeof value === 'string' || 'must be a string',
+  ignore: value => isStringOrStringArray(value) || 'must be a glob string or an array of glob strings',
+  defaultIgnore: value => typeof value === 'boolean' || 'must be a boolean',
+  extensions: value => isStringOrStringArray(value)
+    || 'must be a comma-separated string or an array of strings',
+  batchFolders: value => typeof value === 'boolean' || 'must be a boolean',
+  dryRun: value => typeof value === 'boolean' || 'must be a boolean',
+  yes: value => typeof value === 'boolean' || 'must be a boolean',
+  diff: value => typeof value === 'boolean' || 'must be a boolean',
+  patch: value => typeof value === 'string' || 'must be a file name',
+  sourceMap: value => typeof value === 'boolean' || 'must be a boolean',
+  interactive: value => typeof value === 'boolean' || 'must be a boolean',
+  report: value => typeof value === 'boolean' || typeof value === 'string' || 'must be a boolean or a file name',
+  replaceMap: checkReplaceMap,
+  loggerImport: checkLoggerImport,
+  methods: checkMethodList,
+  keep: checkMethodList,
+  targets: checkTargets,
+  keepSideEffects: value => typeof value === 'boolean' || 'must be a boolean',
+  concurrency: value => isPositiveInteger(value) || 'must be an integer of 1 or more',
+  workers: value => typeof value === 'boolean' || isPositiveInteger(value) || 'must be a boolean or a thread count of 1 or more',
+  maxFileSize: value => parseSize(value) > 0 || 'must be a size in bytes or a string such as "512kb" or "2mb"',
+  maxWarnings: value => (Number.isInteger(value) && value >= -1) || 'must be an integer of -1 (unlimited) or more',
+  format: value => CHECK_FORMATS.includes(value) || REPORT_FORMATS.includes(value) || isFormatterModule(value)
+    || `must be one of ${[...new Set([...CHECK_FORMATS, ...REPORT_FORMATS])].map(f => `"${f}"`).join(', ')} or the path to a formatter module`,
+  staged: value => typeof value === 'boolean' || 'must be a boolean',
+  changedSince: value => (typeof value === 'string' && value.trim() !== '') || 'must be a git ref',
+  onlyChangedLines: value => typeof value === 'boolean' || 'must be a boolean',
+  fix: value => typeof value === 'boolean' || 'must be a boolean',
+  debounce: value => (Number.isInteger(value) && value >= 0) || 'must be a number of milliseconds',
+};
+
+/**
+ * Error raised for missing, unreadable or invalid configuration.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Reads the raw configuration object out of a config file, or returns null when
+ * the file (a package.json without a "logPurge" key) holds no configuration.
+ */
+function readConfigFile(filePath) {
+  const base = path.basename(filePath);
+  try {
+    if (base === 'package.json') {
+      const pkg = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return pkg[PACKAGE_JSON_KEY] === undefined ? null : pkg[PACKAGE_JSON_KEY];
+    }
+    if (path.extname(filePath) === '.js' || path.extname(filePath) === '.cjs') {
+      delete require.cache[require.resolve(filePath)];
+      return require(filePath);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to load config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Walks up from `startDir` and returns the first config found as
+ * { filePath, config }, or null when there is none.
+ */
+function findConfig(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const filePath = path.join(dir, name);
+      if (!fs.existsSync(filePath)) continue;
+      const config = readConfigFile(filePath);
+      if (config !== null) {
+        return { filePath, config };
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Validates a raw config object and returns it normalized to { pattern, options }.
+ */
+function validateConfig(config, source) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Invalid config in ${source}: expected an object with "pattern" and/or "options".`);
+  }
+  const unknownKeys = Object.keys(config).filter(key => key !== 'pattern' && key !== 'options');
+  if (unknownKeys.length > 0) {
+    throw new ConfigError(`Invalid config in ${source}: unknown key(s) ${unknownKeys.map(k => `"${k}"`).join(', ')}. Expected "pattern" and "options".`);
+  }
+  if (config.pattern !== undefined && !isStringOrStringArray(config.pattern)) {
+    throw new ConfigError(`Invalid config in ${source}: "pattern" must be a string or an array of strings.`);
+  }
+
+  const options = config.options === undefined ? {} : config.options;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ConfigError(`Invalid config in ${source}: "options" must be an object.`);
+  }
+  validateOptions(options, source);
+
+  return { pattern: config.pattern, options };
+}
+
+/**
+ * Throws a ConfigError for unknown option keys or values of the wrong type.
+ */
+function validateOptions(options, source) {
+  Object.entries(options).forEach(([key, value]) => {
+    const check = OPTION_TYPES[key];
+    if (!check) {
+      throw new ConfigError(`Invalid option in ${source}: unknown option "${key}". Valid options: ${Object.keys(OPTION_TYPES).join(', ')}.`);
+    }
+    const result = check(value);
+    if (result !== true) {
+      throw new ConfigError(`Invalid option in ${source}: "${key}" ${result} (got ${JSON.stringify(value)}).`);
+    }
+  });
+}
+
+/**
+ * Converts validated options to the shapes the processor expects (lists as
+ * arrays, sizes in bytes, the replace map as an object) and checks the
+ * combinations that are invalid.
+ */
+function normalizeOptions(input) {
+  const options = { ...input };
+  if (Array.isArray(options.extensions)) {
+    options.extensions = options.extensions.join(',');
+  }
+  if (typeof options.ignore === 'string') {
+    options.ignore = [options.ignore];
+  }
+  ['methods', 'keep'].forEach(key => {
+    if (typeof options[key] === 'string') {
+      options[key] = splitList(options[key]);
+    }
+  });
+  if (options.maxFileSize !== undefined) {
+    options.maxFileSize = parseSize(options.maxFileSize);
+  }
+  if (typeof options.replaceMap === 'string') {
+    options.replaceMap = parseReplaceMap(options.replaceMap);
+  }
+  if (options.mode === 'replace' && !options.replaceWith && !options.replaceMap) {
+    throw new ConfigError('The --replaceWith <string> or --replace-map <map> option is required for "replace" mode.');
+  }
+  if (options.targets !== undefined) {
+    options.targets = (typeof options.targets === 'string' ? splitList(options.targets) : options.targets)
+      .map(target => (typeof target === 'string' ? { pattern: target } : { ...target }));
+    options.targets.forEach(target => {
+      if ((target.mode || options.mode) !== 'replace') return;
+      if (target.pattern === DEBUGGER_TARGET) {
+        throw new ConfigError(`The "${DEBUGGER_TARGET}" target cannot be replaced; give it mode "remove" or "comment".`);
+      }
+      if (!target.replaceWith && !options.replaceWith && !options.replaceMap) {
+        throw new ConfigError(`The "${target.pattern}" target needs a "replaceWith" in "replace" mode.`);
+      }
+    });
+  }
+  if (options.staged && options.changedSince) {
+    throw new ConfigError('The --staged and --changed-since options cannot be used together.');
+  }
+  if (options.onlyChangedLines && !options.staged && !options.changedSince) {
+    throw new ConfigError('The --only-changed-lines option requires --staged or --changed-since <ref>.');
+  }
+  return options;
+}
+
+/**
+ * Rewrites a path from a config file so it is relative to cwd instead of the
+ * directory holding the config.
+ */
+function resolveFromConfigDir(value, configDir, cwd) {
+  if (typeof value !== 'string' || path.isAbsolute(value)) return value;
+  const relativeDir = path.relative(cwd, configDir);
+  if (!relativeDir) return value;
+  return `${relativeDir.replace(/\\/g, '/')}/${value}`;
+}
+
+/**
+ * Loads the configuration and merges it with the CLI input using the
+ * precedence defaults < config file < CLI flags.
+ *
+ * @param {object} params
+ * @param {string[]} [params.patterns] Patterns given on the command line.
+ * @param {object} params.cliOptions Options explicitly set on the command line.
+ * @param {string|false} [params.config] Explicit config path, or false to skip config loading.
+ * @param {string} [params.cwd] Directory to start the config search from.
+ * @returns {{ patterns: string[], options: object, configPath: string|null }}
+ */
+function loadConfig({ patterns = [], cliOptions = {}, config, cwd = process.cwd() }) {
+  let found = null;
+  if (typeof config === 'string') {
+    const filePath = path.resolve(cwd, config);
+    if (!fs.existsSync(filePath)) {
+      throw new ConfigError(`Config file not found: ${filePath}`);
+    }
+    const raw = readConfigFile(filePath);
+    if (raw === null) {
+      throw new ConfigError(`No "${PACKAGE_JSON_KEY}" key found in ${filePath}`);
+    }
+    found = { filePath, config: raw };
+  } else if (config !== false) {
+    found = findConfig(cwd);
+  }
+
+  let fileConfig = { pattern: undefined, options: {} };
+  if (found) {
+    fileConfig = validateConfig(found.config, found.filePath);
+    const configDir = path.dirname(found.filePath);
+    if (fileConfig.pattern !== undefined) {
+      fileConfig.pattern = [].concat(fileConfig.pattern).map(value => resolveFromConfigDir(value, configDir, cwd));
+    }
+    if (fileConfig.options.ignore) {
+      fileConfig.options.ignore = [].concat(fileConfig.options.ignore).map(value => resolveFromConfigDir(value, configDir, cwd));
+    }
+    if (isFormatterModule(fileConfig.options.format)) {
+      fileConfig.options.format = resolveFromConfigDir(fileConfig.options.format, configDir, cwd);
+    }
+  }
+
+  validateOptions(cliOptions, 'command line');
+  const options = normalizeOptions({ ...DEFAULT_OPTIONS, ...fileConfig.options, ...cliOptions });
+
+  // A git change set is a target on its own; without a pattern it covers the whole working directory
+  let finalPatterns = patterns.length > 0 ? patterns : fileConfig.pattern || [];
+  if (finalPatterns.length === 0 && (options.staged || options.changedSince)) {
+    finalPatterns = ['.'];
+  }
+
+  if (finalPatterns.length === 0) {
+    throw new ConfigError('No pattern given. Pass a glob or folder path, or set "pattern" in a config file.');
+  }
+  return { patterns: finalPatterns, options, configPath: found ? found.filePath : null };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_OPTIONS,
+  MODES,
+  CONSOLE_FORMATS,
+  CHECK_FORMATS,
+  REPORT_FORMATS,
+  ConfigError,
+  parseSize,
+  findConfig,
+  validateConfig,
+  validateOptions,
+  normalizeOptions,
+  loadConfig,
+};
@@ -0,0 +1,848 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+// Console methods that are detected and processed.
+const CONSOLE_METHODS = [
+  'log', 'info', 'warn', 'error', 'debug', 'assert', 'dir', 'table',
+  'trace', 'time', 'timeEnd', 'group', 'groupEnd', 'count',
+];
+
+// Target that matches `debugger` statements rather than calls.
+const DEBUGGER_TARGET = 'debugger';
+
+// A callee pattern such as "logger.trace", "debug" or "this.$log.*".
+const TARGET_PATTERN_REGEX = /^(?:[A-Za-z_$][\w$]*|\*)(?:\.(?:[A-Za-z_$][\w$]*|\*))*$/;
+
+// Matches a directive comment, optionally followed by "-- reason".
+const DIRECTIVE_REGEX = /^\s*\*?\s*(log-purge-(?:disable-next-line|disable-file|disable|enable))(?:\s+--[\s\S]*)?\s*$/;
+
+// AST keys that never hold child nodes worth visiting.
+const SKIP_KEYS = new Set([
+  'type', 'start', 'end', 'loc', 'range', 'extra',
+  'comments', 'leadingComments', 'trailingComments', 'innerComments', 'tokens',
+]);
+
+// Global objects the console is also read from, as in `globalThis.console.log`.
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'self', 'global'];
+
+// Nodes that scope `var` declarations and parameters.
+const FUNCTION_SCOPES = new Set([
+  'Program', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod',
+]);
+
+// Nodes that scope `let`, `const` and `class` declarations.
+const BLOCK_SCOPES = new Set([
+  'BlockStatement', 'StaticBlock', 'SwitchStatement', 'CatchClause',
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'TSModuleBlock',
+]);
+
+/**
+ * Picks the Babel parser plugins for a file based on its extension.
+ */
+function getParserPlugins(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const common = [
+    'decorators-legacy',
+    'classProperties',
+    'classPrivateProperties',
+    'classPrivateMethods',
+    'dynamicImport',
+    'importMeta',
+    'topLevelAwait',
+  ];
+  if (ext === '.ts' || ext === '.mts' || ext === '.cts') {
+    return [...common, 'typescript'];
+  }
+  if (ext === '.tsx') {
+    return [...common, 'typescript', 'jsx'];
+  }
+  return [...common, 'jsx'];
+}
+
+/**
+ * Parses source code into a Babel AST, choosing the syntax from the filename.
+ * Code with syntax errors throws, even where the parser could recover from
+ * them: rewriting a file that is already broken could only make it worse.
+ */
+function parseSource(code, filename) {
+  const ast = parse(code, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true,
+    errorRecovery: true,
+    plugins: getParserPlugins(filename),
+  });
+  if (ast.errors && ast.errors.length > 0) throw ast.errors[0];
+  return ast;
+}
+
+/**
+ * Depth-first walk over every node of the AST. The visitor receives the node,
+ * its parent and grandparent and the stack of its ancestors (outermost first,
+ * only valid during the call), and can return false to skip the node's
+ * children.
+ */
+function walk(node, visitor, parent = null, grandparent = null, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visitor(node, parent, grandparent, ancestors) === false) return;
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visitor, node, parent, ancestors));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visitor, node, parent, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+/**
+ * Checks whether a node is a (possibly optional) member expression.
+ */
+function isMember(node) {
+  return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
+}
+
+/**
+ * Checks whether a node is a (possibly optional) call expression.
+ */
+function isCall(node) {
+  return node.type === 'CallExpression' || node.type === 'OptionalCallExpression';
+}
+
+/**
+ * Returns the property name of a member expression when it is static
+ * (`a.b`, `a['b']` or a template literal without expressions), or null.
+ */
+function getPropertyName(member) {
+  const { property } = member;
+  if (!member.computed) return property.type === 'Identifier' ? property.name : null;
+  if (property.type === 'StringLiteral') return property.value;
+  if (property.type === 'TemplateLiteral' && property.expressions.length === 0) {
+    return property.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a node refers to the global console object: `console`, or
+ * `console` read from a global object such as `window` or `globalThis`.
+ * Names declared in the file (`function g(console) {}`) shadow the globals,
+ * which `lookup` tells.
+ */
+function isConsoleObject(node, lookup) {
+  if (node.type === 'Identifier') return node.name === 'console' && !lookup(node).local;
+  if (isMember(node)) {
+    return getPropertyName(node) === 'console'
+      && node.object.type === 'Identifier'
+      && GLOBAL_OBJECTS.includes(node.object.name)
+      && !lookup(node.object).local;
+  }
+  return false;
+}
+
+/**
+ * Returns the names along a callee (`this.$log.info` gives ["this", "$log",
+ * "info"]), or null when part of it is not a static name.
+ */
+function getCalleePath(node) {
+  if (TRANSPARENT_WRAPPERS.has(node.type)) return getCalleePath(node.expression);
+  if (node.type === 'Identifier') return [node.name];
+  if (node.type === 'ThisExpression') return ['this'];
+  if (!isMember(node)) return null;
+  const object = getCalleePath(node.object);
+  const name = getPropertyName(node);
+  return object && name !== null ? [...object, name] : null;
+}
+
+/**
+ * Checks whether a callee path matches a target pattern, where `*` stands
+ * for any one name.
+ */
+function matchesTarget(pattern, calleePath) {
+  const segments = pattern.split('.');
+  return segments.length === calleePath.length
+    && segments.every((segment, index) => segment === '*' || segment === calleePath[index]);
+}
+
+/**
+ * Skips whitespace and comments starting at `index` and returns the position of
+ * the next significant character.
+ */
+function skipTrivia(code, index) {
+  let i = index;
+  while (i < code.length) {
+    const ch = code[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '/' && code[i + 1] === '/') {
+      const newline = code.indexOf('\n', i);
+      i = newline === -1 ? code.length : newline + 1;
+    } else if (ch === '/' && code[i + 1] === '*') {
+      const close = code.indexOf('*/', i + 2);
+      i = close === -1 ? code.length : close + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Finds the offset just past the opening parenthesis of a call expression.
+ */
+function findArgumentsStart(code, call) {
+  const typeArgs = call.typeArguments || call.typeParameters;
+  let i = skipTrivia(code, typeArgs ? typeArgs.end : call.callee.end);
+  if (code.startsWith('?.', i)) {
+    i = skipTrivia(code, i + 2);
+  }
+  return code[i] === '(' ? i + 1 : null;
+}
+
+// Expressions that cannot run code: reading them has no side effects.
+const PURE_LEAVES = new Set([
+  'Identifier', 'StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral', 'BigIntLiteral',
+  'RegExpLiteral', 'DecimalLiteral', 'ThisExpression', 'Super', 'MetaProperty',
+  'FunctionExpression', 'ArrowFunctionExpression',
+]);
+
+// Wrappers (types, parentheses) whose side effects are those of their expression.
+const TRANSPARENT_WRAPPERS = new Set([
+  'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion',
+  'TypeCastExpression', 'ParenthesizedExpression',
+]);
+
+/**
+ * Checks whether evaluating an expression may have side effects. Calls,
+ * assignments, `new`, `await` and the like may; literals, variables,
+ * property reads and operators over those are considered pure.
+ */
+function hasSideEffects(node) {
+  if (!node) return false;
+  if (PURE_LEAVES.has(node.type)) return false;
+  if (TRANSPARENT_WRAPPERS.has(node.type)) return hasSideEffects(node.expression);
+  switch (node.type) {
+    case 'TemplateLiteral':
+      return node.expressions.some(hasSideEffects);
+    case 'ArrayExpression':
+      return node.elements.some(hasSideEffects);
+    case 'ObjectExpression':
+      return node.properties.some(property => {
+        if (property.type === 'SpreadElement') return hasSideEffects(property.argument);
+        if (property.computed && hasSideEffects(property.key)) return true;
+        return property.type === 'ObjectProperty' && hasSideEffects(property.value);
+      });
+    case 'SpreadElement':
+      return hasSideEffects(node.argument);
+    case 'UnaryExpression':
+      return node.operator === 'delete' || hasSideEffects(node.argument);
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return hasSideEffects(node.left) || hasSideEffects(node.right);
+    case 'ConditionalExpression':
+      return hasSideEffects(node.test) || hasSideEffects(node.consequent) || hasSideEffects(node.alternate);
+    case 'SequenceExpression':
+      return node.expressions.some(hasSideEffects);
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return hasSideEffects(node.object) || (node.computed && hasSideEffects(node.property));
+    case 'ClassExpression':
+      return hasSideEffects(node.superClass)
+        || node.body.body.some(member => member.computed || member.static || member.type === 'StaticBlock');
+    default:
+      return true;
+  }
+}
+
+/**
+ * Describes how a call's return value is used: `statement` when it stands on
+ * its own, `dereferenced` when the value is read from, called, iterated or
+ * destructured (so it cannot simply become `undefined`), and `expression`
+ * otherwise.
+ */
+function getValueUsage(node, parent) {
+  if (!parent) return 'expression';
+  if (parent.type === 'ExpressionStatement' && parent.expression === node) return 'statement';
+  const dereferenced = ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.object === node)
+    || (['CallExpression', 'OptionalCallExpression', 'NewExpression'].includes(parent.type) && parent.callee === node)
+    || (parent.type === 'TaggedTemplateExpression' && parent.tag === node)
+    || parent.type === 'SpreadElement'
+    || (parent.type === 'ForOfStatement' && parent.right === node)
+    || (parent.type === 'YieldExpression' && parent.delegate)
+    || (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type !== 'Identifier')
+    || (parent.type === 'AssignmentExpression' && parent.right === node && parent.left.type !== 'Identifier' && parent.left.type !== 'MemberExpression');
+  return dereferenced ? 'dereferenced' : 'expression';
+}
+
+/**
+ * Checks whether an expression put in place of the call needs parentheses,
+ * which is only the case for the base of `**`.
+ */
+function needsParentheses(node, parent) {
+  if (node.extra && node.extra.parenthesized) return false;
+  return Boolean(parent && parent.type === 'BinaryExpression' && parent.operator === '**' && parent.left === node);
+}
+
+/**
+ * Checks whether a statement sits directly in a statement list, as opposed to
+ * being the lone body of an `if`, loop or label.
+ */
+function isInStatementList(parent) {
+  return ['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase', 'TSModuleBlock'].includes(parent.type);
+}
+
+/**
+ * Collects the log-purge directive comments of a file:
+ * `log-purge-disable-file`, `log-purge-disable-next-line` and
+ * `log-purge-disable` / `log-purge-enable` ranges.
+ */
+function getDirectives(comments) {
+  const directives = { disableFile: false, disabledLines: new Set(), disabledRanges: [] };
+  let rangeStart = null;
+
+  comments.forEach(comment => {
+    const match = DIRECTIVE_REGEX.exec(comment.value);
+    if (!match) return;
+    switch (match[1]) {
+      case 'log-purge-disable-file':
+        directives.disableFile = true;
+        break;
+      case 'log-purge-disable-next-line':
+        directives.disabledLines.add(comment.loc.end.line + 1);
+        break;
+      case 'log-purge-disable':
+        if (rangeStart === null) rangeStart = comment.end;
+        break;
+      case 'log-purge-enable':
+        if (rangeStart !== null) {
+          directives.disabledRanges.push({ start: rangeStart, end: comment.start });
+          rangeStart = null;
+        }
+        break;
+    }
+  });
+  // An unclosed disable comment runs to the end of the file.
+  if (rangeStart !== null) {
+    directives.disabledRanges.push({ start: rangeStart, end: Infinity });
+  }
+  return directives;
+}
+
+/**
+ * Checks whether a call is exempted by a directive comment.
+ */
+function isDisabledByDirective(node, directives) {
+  return directives.disableFile
+    || directives.disabledLines.has(node.loc.start.line)
+    || directives.disabledRanges.some(range => node.start >= range.start && node.start < range.end);
+}
+
+/**
+ * Returns the identifiers a binding pattern declares or assigns.
+ */
+function getPatternIdentifiers(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => getPatternIdentifiers(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(getPatternIdentifiers);
+    case 'RestElement':
+      return getPatternIdentifiers(pattern.argument);
+    case 'AssignmentPattern':
+      return getPatternIdentifiers(pattern.left);
+    case 'TSParameterProperty':
+      return getPatternIdentifiers(pattern.parameter);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the innermost ancestor that scopes a declaration: the closest
+ * function (or the program), or for block-scoped declarations the closest
+ * block.
+ */
+function getScope(ancestors, blockScoped) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (FUNCTION_SCOPES.has(node.type) || (blockScoped && BLOCK_SCOPES.has(node.type))) return node;
+  }
+  return ancestors[0];
+}
+
+/**
+ * Collects the bindings declared in a program, keyed by the node that scopes
+ * them and then by name. Variable bindings keep their declarator, so aliases
+ * can be read from their initializer.
+ *
+ * @returns {Map<object, Map<string, object>>}
+ */
+function collectBindings(program) {
+  const scopes = new Map();
+  const declare = (scope, identifier, binding) => {
+    if (!scopes.has(scope)) scopes.set(scope, new Map());
+    scopes.get(scope).set(identifier.name, { identifier, ...binding });
+  };
+
+  walk(program, (node, parent, grandparent, ancestors) => {
+    switch (node.type) {
+      case 'VariableDeclaration': {
+        const scope = getScope(ancestors, node.kind !== 'var');
+        node.declarations.forEach(declarator => {
+          getPatternIdentifiers(declarator.id).forEach(identifier => {
+            declare(scope, identifier, { kind: node.kind, declarator, declaration: node, parent });
+          });
+        });
+        break;
+      }
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+        if (node.id) declare(getScope(ancestors, true), node.id, { kind: 'function' });
+        break;
+      case 'ImportDeclaration':
+        node.specifiers.forEach(specifier => declare(program, specifier.local, { kind: 'import' }));
+        break;
+      case 'CatchClause':
+        getPatternIdentifiers(node.param).forEach(identifier => declare(node, identifier, { kind: 'param' }));
+        break;
+    }
+    if (FUNCTION_SCOPES.has(node.type) && node.params) {
+      node.params.forEach(param => {
+        getPatternIdentifiers(param).forEach(identifier => declare(node, identifier, { kind: 'param' }));
+      });
+    }
+  });
+  return scopes;
+}
+
+/**
+ * Finds the binding an identifier refers to from where it appears, or null
+ * for globals.
+ */
+function resolveBinding(scopes, name, ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const bindings = scopes.get(ancestors[i]);
+    if (bindings && bindings.has(name)) return bindings.get(name);
+  }
+  return null;
+}
+
+/**
+ * Checks whether an identifier reads a variable, as opposed to naming a
+ * property, label, import or type.
+ */
+function isReference(node, parent) {
+  if (!parent) return true;
+  if (parent.type.startsWith('TS') && !TRANSPARENT_WRAPPERS.has(parent.type)) return false;
+  switch (parent.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return parent.object === node || parent.computed;
+    case 'ObjectProperty':
+    case 'ObjectMethod':
+    case 'ClassProperty':
+    case 'ClassMethod':
+    case 'ClassAccessorProperty':
+      return parent.key !== node || parent.computed;
+    case 'ExportSpecifier':
+      return parent.local === node;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'MetaProperty':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Works out what an expression reads from the console: the console object
+ * itself (`method` is null), one of its methods, or null for anything else.
+ * Aliases are followed through `lookup`, and `through` is the alias the value
+ * was read through. `bound` marks `console.log.bind(...)`, with
+ * `boundArguments` when it also binds arguments.
+ */
+function getConsoleValue(node, lookup) {
+  if (TRANSPARENT_WRAPPERS.has(node.type)) return getConsoleValue(node.expression, lookup);
+  if (node.type === 'Identifier') {
+    const { alias } = lookup(node);
+    if (alias) return { method: alias.method, through: alias };
+    return isConsoleObject(node, lookup) ? { method: null, through: null } : null;
+  }
+  if (isMember(node)) {
+    if (isConsoleObject(node, lookup)) return { method: null, through: null };
+    const object = getConsoleValue(node.object, lookup);
+    const name = getPropertyName(node);
+    if (!object || object.method !== null || !CONSOLE_METHODS.includes(name)) return null;
+    return { method: name, through: object.through };
+  }
+  if (isCall(node) && isMember(node.callee) && getPropertyName(node.callee) === 'bind') {
+    const target = getConsoleValue(node.callee.object, lookup);
+    if (!target || !target.method) return null;
+    return { ...target, bound: true, boundArguments: node.arguments.length > 1 };
+  }
+  return null;
+}
+
+/**
+ * Returns the declaration edit info of a variable declarator: the range of
+ * its declaration and declarators, and whether it may be removed at all.
+ * Exported declarations and loop heads are never removed.
+ */
+function getDeclarationInfo(binding, declarations) {
+  const { declaration, parent } = binding;
+  if (!declarations.has(declaration)) {
+    declarations.set(declaration, {
+      start: declaration.start,
+      end: declaration.end,
+      line: declaration.loc.start.line,
+      endLine: declaration.loc.end.line,
+      declarators: declaration.declarations.map(declarator => ({ start: declarator.start, end: declarator.end })),
+      removable: isInStatementList(parent),
+      exported: parent.type === 'ExportNamedDeclaration',
+    });
+  }
+  return declarations.get(declaration);
+}
+
+/**
+ * Finds every console call in a piece of source code, together with the
+ * aliases the calls go through and the console usage that cannot be followed.
+ *
+ * Calls are made directly (`console.log(...)`, `console['log'](...)`,
+ * `globalThis.console.log(...)`), with `.call`/`.apply`, or through an alias
+ * declared in the same file: `const log = console.log`,
+ * `const { warn } = console`, `const c = console` or
+ * `const log = console.log.bind(console)`. Aliases of aliases are followed
+ * too. Calls whose callee matches one of `targets` (such as "logger.trace"
+ * or "this.$log.*") are found as well, with `method` null, and so are
+ * `debugger` statements when "debugger" is a target.
+ *
+ * Each call carries the exact call range (`start`/`end`), the range of the
+ * enclosing expression statement when the call stands on its own, the
+ * 1-based start line / 0-based column and the end line of the call, its
+ * arguments with whether they may have side effects, and how its return value
+ * is used (`usage`). Calls exempted by a directive comment are flagged with
+ * `disabled`, and calls made through an alias name it in `alias`. `shadowed`
+ * lists which of `names` (such as the logger a call is replaced with) are
+ * declared by a function or block around the call. `target`
+ * is the console method (e.g. "console.log") or target pattern a call
+ * matched. Calls are returned in source order, so a call nested in another's
+ * arguments directly follows it.
+ *
+ * Each alias lists the calls and aliases that read it, and its declarator
+ * (`declaration` and `index`) so it can be removed once nothing else does.
+ * An alias that is reassigned, exported or used other than by calling it
+ * has `escaped` set. Those, dynamic access such as `console[level]` and
+ * console methods or the console object passed around as values are listed
+ * in `unresolved`.
+ *
+ * @returns {{ calls: Array, aliases: Array, unresolved: Array }}
+ */
+function findConsoleUsage(code, { filename, methods = CONSOLE_METHODS, targets = [], names = [], ast = parseSource(code, filename) } = {}) {
+  const directives = getDirectives(ast.comments || []);
+  const scopes = collectBindings(ast.program);
+  const aliases = new Map();
+  const declarations = new Map();
+  const calls = [];
+  const unresolved = [];
+
+  // Tells whether an identifier is declared in the file (`local`) and the alias it holds, if any
+  const lookupIn = ancestors => identifier => {
+    const binding = resolveBinding(scopes, identifier.name, ancestors);
+    return { local: Boolean(binding), alias: binding ? aliases.get(binding) || null : null };
+  };
+  const programBindings = scopes.get(ast.program) || new Map();
+  // Names declared around a call other than at the top level
+  const getShadowed = ancestors => names.filter(name => {
+    const binding = resolveBinding(scopes, name, ancestors);
+    return Boolean(binding) && programBindings.get(name) !== binding;
+  });
+  const report = (node, detail, method = null) => {
+    if (isDisabledByDirective(node, directives)) return;
+    unresolved.push({ ...getPosition(node), method, detail });
+  };
+  const escape = (alias, node, detail) => {
+    if (!alias) return;
+    alias.escaped = true;
+    if (detail) report(node, detail, alias.method);
+  };
+
+  // First pass: aliases, in source order so an alias can build on an earlier one
+  const reassigned = new Set();
+  walk(ast.program, (node, parent, grandparent, ancestors) => {
+    if (node.type === 'AssignmentExpression' || node.type === 'UpdateExpression' || node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+      const target = node.type === 'AssignmentExpression' ? node.left : node.type === 'UpdateExpression' ? node.argument : node.left;
+      getPatternIdentifiers(target).forEach(identifier => {
+        const binding = resolveBinding(scopes, identifier.name, ancestors);
+        if (binding) reassigned.add(binding);
+      });
+      return;
+    }
+    if (node.type !== 'VariableDeclarator' || !node.init) return;
+    const value = getConsoleValue(node.init, lookupIn(ancestors));
+    if (!value || value.boundArguments) return;
+
+    const declare = (identifier, method) => {
+      const binding = resolveBinding(scopes, identifier.name, ancestors);
+      if (!binding || binding.identifier !== identifier) return;
+      const alias = {
+        name: identifier.name,
+        method,
+        line: identifier.loc.start.line,
+        column: identifier.loc.start.column,
+        binding,
+        through: value.through,
+        declaration: getDeclarationInfo(binding, declarations),
+        index: parent.declarations.indexOf(node),
+        complete: true,
+        calls: [],
+        dependents: [],
+        escaped: false,
+        disabled: isDisabledByDirective(node, directives),
+      };
+      aliases.set(binding, alias);
+      if (value.through) value.through.dependents.push(alias);
+      return alias;
+    };
+
+    if (node.id.type === 'Identifier') {
+      declare(node.id, value.method);
+    } else if (node.id.type === 'ObjectPattern' && value.method === null) {
+      // `const { log, warn: w } = console`; the declarator only goes when every property does
+      const declared = node.id.properties.map(property => {
+        if (property.type !== 'ObjectProperty' || property.computed) return null;
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.type === 'StringLiteral' ? property.key.value : null;
+        const local = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+        if (!CONSOLE_METHODS.includes(key) || local.type !== 'Identifier') return null;
+        return declare(local, key);
+      });
+      if (declared.some(alias => !alias)) {
+        declared.forEach(alias => alias && (alias.complete = false));
+      }
+    }
+  });
+
+  // Nodes already accounted for by a call or an alias declaration
+  const handled = new Set();
+  aliases.forEach(alias => handled.add(alias.binding.declarator.init));
+
+  // Reassigned aliases may hold anything; so may aliases built on them
+  aliases.forEach((alias, binding) => {
+    if (reassigned.has(binding)) {
+      report(binding.identifier, `${alias.name} is reassigned, so calls through it cannot be followed`, alias.method);
+    }
+    if (reassigned.has(binding) || (alias.through && !aliases.has(alias.through.binding))) {
+      aliases.delete(binding);
+      if (alias.through) escape(alias.through);
+    }
+  });
+  aliases.forEach(alias => {
+    if (alias.declaration.exported) {
+      escape(alias, alias.binding.identifier, `${alias.name} is exported, so calls through it cannot be followed`);
+    }
+  });
+
+  walk(ast.program, (node, parent, grandparent, ancestors) => {
+    if (handled.has(node)) return false;
+    const lookup = lookupIn(ancestors);
+
+    if (node.type === 'DebuggerStatement') {
+      if (targets.includes(DEBUGGER_TARGET)) {
+        calls.push({
+          ...getPosition(node),
+          method: null,
+          target: DEBUGGER_TARGET,
+          calleeStart: null,
+          argumentsStart: null,
+          spreadArguments: false,
+          args: [],
+          usage: 'statement',
+          needsParentheses: false,
+          statement: { start: node.start, end: node.end, isBody: !isInStatementList(parent) },
+          disabled: isDisabledByDirective(node, directives),
+          shadowed: [],
+        });
+      }
+      return;
+    }
+
+    if (isCall(node)) {
+      const target = getCallTarget(node, lookup);
+      if (target) {
+        target.handled.forEach(handledNode => handled.add(handledNode));
+        if (!methods.includes(target.method)) return;
+        const call = createCall(code, node, parent, grandparent, directives, { ...target, target: `console.${target.method}` });
+        call.shadowed = getShadowed(ancestors);
+        if (target.through) {
+          call.alias = target.through.name;
+          target.through.calls.push(call);
+        }
+        calls.push(call);
+        return;
+      }
+      const calleePath = targets.length > 0 ? getCalleePath(node.callee) : null;
+      const pattern = calleePath && targets.find(candidate => matchesTarget(candidate, calleePath));
+      if (pattern) {
+        calls.push({
+          ...createCall(code, node, parent, grandparent, directives, { method: null, target: pattern, args: node.arguments }),
+          shadowed: getShadowed(ancestors),
+        });
+        return;
+      }
+    }
+
+    if (node.type !== 'Identifier' && !isMember(node) && !isCall(node)) return;
+    if (node.type === 'Identifier') {
+      if (!isReference(node, parent)) return;
+      const binding = resolveBinding(scopes, node.name, ancestors);
+      if (binding && binding.identifier === node) return;
+    }
+    const value = getConsoleValue(node, lookup);
+    if (!value) return;
+    const text = abbreviateNode(code, node);
+    const isTypeof = parent && parent.type === 'UnaryExpression' && parent.operator === 'typeof';
+
+    if (value.method) {
+      // A method read but not called here: whoever receives it may call it
+      if (isTypeof) return false;
+      if (value.through && value.through.method) {
+        escape(value.through, node, `${value.through.name} is used as a value, so calls through it cannot be followed`);
+      } else {
+        escape(value.through);
+        report(node, `${text} is used as a value, so calls through it cannot be followed`, value.method);
+      }
+      return false;
+    }
+    if (parent && isMember(parent) && parent.object === node) {
+      // Other console properties are fine; a computed one may be any method
+      if (parent.computed && getPropertyName(parent) === null) {
+        escape(value.through);
+        report(parent, `${abbreviateNode(code, parent)} is accessed dynamically, so the method cannot be told`);
+        return;
+      }
+      escape(value.through);
+      return;
+    }
+    if (isTypeof || (parent && parent.type === 'BinaryExpression' && parent.operator === 'in' && parent.right === node)) {
+      escape(value.through);
+      return;
+    }
+    escape(value.through);
+    report(node, `${text} is passed around as a value, so calls through it cannot be followed`);
+    return false;
+  });
+
+  unresolved.sort((a, b) => a.start - b.start);
+  return { calls, aliases: [...aliases.values()], unresolved };
+}
+
+/**
+ * Returns the range and 1-based start line / 0-based column and end line of
+ * a node.
+ */
+function getPosition(node) {
+  return {
+    start: node.start,
+    end: node.end,
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+    endLine: node.loc.end.line,
+  };
+}
+
+/**
+ * Builds the entry of a call to process. `method` is the console method (null
+ * for other targets), `target` the console method or target pattern it
+ * matched, and `args` the arguments it passes on.
+ */
+function createCall(code, node, parent, grandparent, directives, { method, target, args, argumentsStart, spreadArguments = false }) {
+  const usage = getValueUsage(node, parent);
+  return {
+    ...getPosition(node),
+    method,
+    target,
+    calleeStart: node.callee.start,
+    argumentsStart: argumentsStart === undefined ? findArgumentsStart(code, node) : argumentsStart,
+    spreadArguments,
+    args: args.map(arg => {
+      const spread = arg.type === 'SpreadElement';
+      const expression = spread ? arg.argument : arg;
+      return { start: expression.start, end: expression.end, spread: spread && !spreadArguments, pure: !hasSideEffects(arg) };
+    }),
+    usage,
+    needsParentheses: needsParentheses(node, parent),
+    statement: usage === 'statement'
+      ? { start: parent.start, end: parent.end, isBody: !isInStatementList(grandparent) }
+      : null,
+    disabled: isDisabledByDirective(node, directives),
+  };
+}
+
+/**
+ * Returns the console method a call invokes and how: directly, through an
+ * alias, or with `.call`/`.apply` (whose first argument is the receiver).
+ * `handled` lists the nodes the call accounts for, so they are not reported
+ * as unresolved usage.
+ *
+ * @returns {{ method: string, through: object|null, args: Array, handled: Array, argumentsStart?: number|null, spreadArguments?: boolean }|null}
+ */
+function getCallTarget(node, lookup) {
+  const direct = getConsoleValue(node.callee, lookup);
+  if (direct && direct.method && !direct.bound) {
+    return { method: direct.method, through: direct.through, args: node.arguments, handled: [node.callee] };
+  }
+  if (!isMember(node.callee)) return null;
+  const invocation = getPropertyName(node.callee);
+  if (invocation !== 'call' && invocation !== 'apply') return null;
+  const target = getConsoleValue(node.callee.object, lookup);
+  if (!target || !target.method || target.bound) return null;
+
+  const [receiver, ...rest] = node.arguments;
+  const handled = [node.callee];
+  if (receiver && getConsoleValue(receiver, lookup)) handled.push(receiver);
+  // The arguments after the receiver are kept; `.apply` spreads its array
+  const args = invocation === 'call' ? rest : rest.slice(0, 1);
+  const argumentsStart = args.length > 0 ? args[0].start : node.end - 1;
+  return {
+    method: target.method,
+    through: target.through,
+    args,
+    handled,
+    argumentsStart,
+    spreadArguments: invocation === 'apply' && args.length > 0,
+  };
+}
+
+/**
+ * Returns the source of a node on one line, shortened for a message.
+ */
+function abbreviateNode(code, node) {
+  const text = code.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+module.exports = {
+  CONSOLE_METHODS,
+  DEBUGGER_TARGET,
+  TARGET_PATTERN_REGEX,
+  parseSource,
+  walk,
+  hasSideEffects,
+  matchesTarget,
+  skipTrivia,
+  findConsoleUsage,
+};
@@ -0,0 +1,52 @@
+const path = require('path');
+const chalk = require('chalk');
+const { structuredPatch } = require('diff');
+
+/**
+ * Creates a `git apply`-compatible unified diff for one file, or an empty
+ * string when the content did not change.
+ */
+function createFilePatch(filePath, oldContent, newContent, { context = 3 } = {}) {
+  if (oldContent === newContent) return '';
+  const relativePath = (path.relative(process.cwd(), path.resolve(filePath)) || filePath).replace(/\\/g, '/');
+  const { hunks } = structuredPatch(relativePath, relativePath, oldContent, newContent, undefined, undefined, { context });
+
+  const lines = [
+    `diff --git a/${relativePath} b/${relativePath}`,
+    `--- a/${relativePath}`,
+    `+++ b/${relativePath}`,
+  ];
+  hunks.forEach(hunk => {
+    lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`);
+    lines.push(...hunk.lines);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats a hunk range the way git does: "start,count", with an empty range
+ * anchored on the line before it.
+ */
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Colors a unified diff for terminal output.
+ */
+function colorizePatch(patch) {
+  return patch
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('diff --git') || line.startsWith('--- ') || line.startsWith('+++ ')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('\\')) return chalk.gray(line);
+      return line;
+    })
+    .join('\n');
+}
+
+module.exports = { createFilePatch, colorizePatch };
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { glob } = require('glob');
+const { Minimatch } = require('minimatch');
+const ignore = require('ignore');
+
+const { JOURNAL_DIR } = require('./journal');
+const { getChangedFiles, getChangedLines } = require('./git');
+
+// Dependencies, build output and caches skipped unless --no-default-ignore is given (.gitignore syntax).
+const DEFAULT_IGNORES = [
+  'node_modules/',
+  'bower_components/',
+  'jspm_packages/',
+  'dist/',
+  'build/',
+  'coverage/',
+  '.nyc_output/',
+  '.next/',
+  '.nuxt/',
+  '.svelte-kit/',
+  '.output/',
+  '.turbo/',
+  '.cache/',
+  '.git/',
+  `${JOURNAL_DIR}/`,
+  '*.min.js',
+];
+
+// Ignore files read in every directory; rules in later files and deeper directories win.
+const IGNORE_FILES = ['.gitignore', '.logpurgeignore'];
+
+/**
+ * Converts a path to forward slashes, as glob and ignore patterns expect.
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Returns a function that finds the project root of a directory: the closest
+ * directory at or above it that contains `.git`, or else `cwd` for paths
+ * inside it and the filesystem root for paths outside it. Ignore files are
+ * read from there down.
+ */
+function createRootFinder(cwd) {
+  const base = path.resolve(cwd);
+  const repoRoots = new Map();
+  const findRepoRoot = dir => {
+    if (!repoRoots.has(dir)) {
+      const parent = path.dirname(dir);
+      repoRoots.set(dir, fs.existsSync(path.join(dir, '.git')) ? dir : parent === dir ? null : findRepoRoot(parent));
+    }
+    return repoRoots.get(dir);
+  };
+  return dir => {
+    const repoRoot = findRepoRoot(dir);
+    if (repoRoot) return repoRoot;
+    const fromBase = path.relative(base, dir);
+    return fromBase.startsWith('..') || path.isAbsolute(fromBase) ? path.parse(dir).root : base;
+  };
+}
+
+/**
+ * Reads the ignore files of one directory into a matcher, placed after the
+ * given base rules so negations can override them. Returns null when there
+ * are no rules at all.
+ */
+function readIgnoreFiles(dir, baseRules = []) {
+  const contents = IGNORE_FILES
+    .map(name => {
+      try {
+        return fs.readFileSync(path.join(dir, name), 'utf8');
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(content => content !== null);
+  if (baseRules.length === 0 && contents.length === 0) return null;
+  return ignore().add(baseRules).add(contents.join('\n'));
+}
+
+/**
+ * Creates the `ignore` option for glob. A path is skipped when it matches an
+ * --ignore glob (relative to `cwd`), or when the default excludes and the
+ * .gitignore / .logpurgeignore files from the path's project root down to it
+ * leave it ignored. Ignored directories are never descended into.
+ *
+ * @param {{ cwd?: string, patterns?: string[], defaultIgnore?: boolean }} options
+ * @returns {{ ignored: (p: object) => boolean, childrenIgnored: (p: object) => boolean }}
+ */
+function createIgnoreFilter({ cwd = process.cwd(), patterns = [], defaultIgnore = true } = {}) {
+  const findRoot = createRootFinder(cwd);
+  const layers = new Map();
+  const getLayer = (dir, isRoot) => {
+    const key = `${isRoot ? 'root' : 'dir'}:${dir}`;
+    if (!layers.has(key)) {
+      // The default excludes act as the first rules of the root, so its ignore files can negate them
+      const baseRules = isRoot && defaultIgnore ? DEFAULT_IGNORES : [];
+      layers.set(key, readIgnoreFiles(dir, baseRules));
+    }
+    return layers.get(key);
+  };
+
+  const globs = patterns.map(pattern => toPosix(pattern).replace(/^\.\//, ''));
+  const fileMatchers = globs.map(pattern => new Minimatch(pattern, { dot: true }));
+  // Like glob's own ignore handling, only "dir/**" patterns prune whole directories.
+  const dirMatchers = globs
+    .filter(pattern => pattern.endsWith('/**'))
+    .map(pattern => new Minimatch(pattern.slice(0, -3), { dot: true }));
+
+  const matchesGlob = (fullPath, matchers) => {
+    const relative = toPosix(path.relative(cwd, fullPath));
+    const absolute = toPosix(fullPath);
+    return matchers.some(matcher => matcher.match(relative) || matcher.match(absolute));
+  };
+
+  const isIgnored = (fullPath, isDir) => {
+    // Each path is matched from its own project root, wherever the run was started
+    const root = findRoot(path.dirname(fullPath));
+    const fromRoot = path.relative(root, fullPath);
+    if (!fromRoot) return false;
+    const suffix = isDir ? '/' : '';
+
+    let ignored = false;
+    const segments = fromRoot.split(path.sep);
+    let dir = root;
+    for (let i = 0; i < segments.length; i++) {
+      const layer = getLayer(dir, i === 0);
+      if (layer) {
+        const { ignored: isMatch, unignored } = layer.test(segments.slice(i).join('/') + suffix);
+        if (isMatch) ignored = true;
+        else if (unignored) ignored = false;
+      }
+      dir = path.join(dir, segments[i]);
+    }
+    return ignored;
+  };
+
+  return {
+    ignored: p => matchesGlob(p.fullpath(), fileMatchers) || isIgnored(p.fullpath(), false),
+    childrenIgnored: p => matchesGlob(p.fullpath(), dirMatchers) || isIgnored(p.fullpath(), true),
+  };
+}
+
+/**
+ * Checks if a path is a directory and converts it to a glob pattern
+ */
+async function processPatternInput(inputPattern, options) {
+  try {
+    const stats = await fsp.stat(inputPattern);
+    if (stats.isDirectory()) {
+      const extensions = options.extensions.split(',').map(ext => ext.trim());
+      // Normalize path separators for glob - always use forward slashes
+      const normalizedPath = inputPattern.replace(/\\/g, '/');
+      // Ensure path doesn't end with slash for consistent glob pattern
+      const cleanPath = normalizedPath.endsWith('/') ? normalizedPath.slice(0, -1) : normalizedPath;
+      const globPattern = `${cleanPath}/**/*.{${extensions.join(',')}}`;
+      return { pattern: globPattern, isFolder: true, folderPath: inputPattern };
+    }
+  } catch (error) {
+    // Not a directory, treat as glob pattern
+  }
+  return { pattern: inputPattern, isFolder: false, folderPath: null };
+}
+
+/**
+ * Expands processed glob patterns into the list of files to process. Files
+ * matched by more than one pattern are listed once.
+ */
+function findFiles(patterns, options) {
+  const ignoreFilter = createIgnoreFilter({
+    patterns: [].concat(options.ignore || []),
+    defaultIgnore: options.defaultIgnore !== false,
+  });
+  return glob(patterns, { ignore: ignoreFilter, nodir: true });
+}
+
+/**
+ * Resolves the CLI inputs (folder paths and/or globs) into the list of files to process.
+ * With --staged or --changed-since, only files in that git change set are kept;
+ * --only-changed-lines also returns each file's changed line ranges.
+ *
+ * @param {string|string[]} inputPatterns
+ * @returns {Promise<{ files: string[], inputs: string[], patterns: string[], isFolder: boolean, changedLines: Map|null }>}
+ */
+async function discoverFiles(inputPatterns, options) {
+  const inputs = [].concat(inputPatterns);
+  const processed = await Promise.all(inputs.map(input => processPatternInput(input, options)));
+  const patterns = processed.map(entry => entry.pattern);
+  let files = await findFiles(patterns, options);
+  let changedLines = null;
+
+  if (options.staged || options.changedSince) {
+    const changeSet = { staged: options.staged, since: options.changedSince };
+    const changedFiles = await getChangedFiles(changeSet);
+    files = files.filter(file => changedFiles.has(path.resolve(file)));
+    if (options.onlyChangedLines) {
+      changedLines = await getChangedLines(changeSet);
+    }
+  }
+  return { files, inputs, patterns, isFolder: processed.some(entry => entry.isFolder), changedLines };
+}
+
+module.exports = {
+  DEFAULT_IGNORES,
+  IGNORE_FILES,
+  createIgnoreFilter,
+  discoverFiles,
+};
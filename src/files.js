@@ -0,0 +1,98 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { TextDecoder } = require('util');
+
+// Byte order mark some editors put at the start of UTF-8 files.
+const UTF8_BOM = '\uFEFF';
+
+// Leading bytes scanned for NUL characters to tell binary files from text.
+const BINARY_SAMPLE_SIZE = 8000;
+
+/**
+ * Returns the line ending most of a text's lines use.
+ *
+ * @returns {'\n'|'\r\n'}
+ */
+function detectEol(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/\n/g) || []).length - crlf;
+  return crlf > lf ? '\r\n' : '\n';
+}
+
+/**
+ * Converts the bare `\n` line breaks of inserted text to `eol`, leaving
+ * existing `\r\n` alone.
+ */
+function toEol(text, eol) {
+  return eol === '\r\n' ? text.replace(/(?<!\r)\n/g, '\r\n') : text;
+}
+
+/**
+ * Decodes a file's bytes as UTF-8 text. Resolves to the text without its
+ * byte order mark, whether it had one and the line ending it mostly uses; or,
+ * for binary files and files in other encodings, the reason to skip them.
+ *
+ * @returns {{ text: string, bom: boolean, eol: string }|{ skipReason: string }}
+ */
+function decodeText(buffer) {
+  if (buffer.length >= 2 && ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff))) {
+    return { skipReason: 'UTF-16 encoded; only UTF-8 files are processed' };
+  }
+  if (buffer.subarray(0, BINARY_SAMPLE_SIZE).includes(0)) {
+    return { skipReason: 'binary file' };
+  }
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(buffer);
+  } catch (error) {
+    return { skipReason: 'not valid UTF-8' };
+  }
+  const bom = text.startsWith(UTF8_BOM);
+  const body = bom ? text.slice(UTF8_BOM.length) : text;
+  return { text: body, bom, eol: detectEol(body) };
+}
+
+/**
+ * Puts the byte order mark back in front of text read by decodeText.
+ */
+function encodeText(text, bom) {
+  return bom ? `${UTF8_BOM}${text}` : text;
+}
+
+/**
+ * Writes a file atomically: the content goes to a temporary file beside it,
+ * which then replaces the file in a single rename, so a crash never leaves
+ * it half written. An existing file keeps its permissions, and a symlink is
+ * written through to its target.
+ */
+async function writeFileAtomic(filePath, content) {
+  let target = filePath;
+  let mode = null;
+  try {
+    target = await fs.realpath(filePath);
+    mode = (await fs.stat(target)).mode & 0o7777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    await fs.writeFile(tempPath, content, mode === null ? 'utf8' : { encoding: 'utf8', mode });
+    // The mode given to writeFile is masked by the umask
+    if (mode !== null) await fs.chmod(tempPath, mode);
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  UTF8_BOM,
+  detectEol,
+  toEol,
+  decodeText,
+  encodeText,
+  writeFileAtomic,
+};
@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ora = require('ora');
+const chalk = require('chalk');
+
+const { ConfigError } = require('../config');
+
+// Built-in report formatters. Each exports `extension` and `format(report)`.
+const FORMATTERS = {
+  markdown: require('./markdown'),
+  json: require('./json'),
+  sarif: require('./sarif'),
+  junit: require('./junit'),
+};
+
+/**
+ * Returns the formatter for a built-in format name, or loads a custom one from
+ * a module path. A custom module exports `format(report)` (and optionally
+ * `extension`), or is the format function itself.
+ */
+function getFormatter(name) {
+  if (FORMATTERS[name]) return FORMATTERS[name];
+  let custom;
+  try {
+    custom = require(path.resolve(name));
+  } catch (error) {
+    throw new ConfigError(`Unknown format "${name}": expected one of ${Object.keys(FORMATTERS).join(', ')} or a formatter module (${error.message}).`);
+  }
+  const format = typeof custom === 'function' ? custom : custom.format;
+  if (typeof format !== 'function') {
+    throw new ConfigError(`Formatter module ${name} must export a format(report) function.`);
+  }
+  return { extension: custom.extension || '.txt', format };
+}
+
+/**
+ * Formats a report and writes it to `filename`, or to log-purge-report.<ext>
+ * when no name is given.
+ *
+ * @returns {Promise<string>} The name of the written file.
+ */
+async function writeReport(report, { format = 'markdown', filename } = {}) {
+  const formatter = getFormatter(format);
+  const reportName = typeof filename === 'string' ? filename : `log-purge-report${formatter.extension}`;
+  const spinner = ora(chalk.cyan(`Generating ${format} report to ${reportName}...`)).start();
+  await fs.writeFile(reportName, formatter.format(report), 'utf-8');
+  spinner.succeed(chalk.green(`Detailed report saved successfully to ${reportName}.`));
+  return reportName;
+}
+
+module.exports = { FORMATTERS, getFormatter, writeReport };
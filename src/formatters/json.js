@@ -0,0 +1,11 @@
+/**
+ * Renders the full report model, including every result with its detected
+ * console calls and file statistics, as JSON.
+ */
+function format(report) {
+  // Patches can be large and are written separately with --patch
+  const results = report.results.map(({ patch, ...result }) => result);
+  return `${JSON.stringify({ ...report, results }, null, 2)}\n`;
+}
+
+module.exports = { extension: '.json', format };
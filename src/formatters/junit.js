@@ -0,0 +1,54 @@
+const { getFindings, describeFinding, toRelativePath } = require('../report');
+
+/**
+ * Escapes text for use in XML attributes and content.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders the report as JUnit XML with one test case per file. A file with
+ * console calls is a failure, a file that could not be processed an error.
+ */
+function format(report) {
+  const testcases = report.results.map(result => {
+    const file = escapeXml(toRelativePath(result.filePath));
+    const open = `    <testcase classname="log-purge" name="${file}" file="${file}">`;
+    if (result.status === 'error') {
+      return `${open}\n      <error message="${escapeXml(result.error)}" type="error"/>\n    </testcase>`;
+    }
+    if (result.status === 'skipped') {
+      return `${open}\n      <skipped message="${escapeXml(result.reason)}"/>\n    </testcase>`;
+    }
+    const findings = getFindings(result);
+    if (findings.length === 0) {
+      return `    <testcase classname="log-purge" name="${file}" file="${file}"/>`;
+    }
+    const details = findings
+      .map(log => `${toRelativePath(result.filePath)}:${log.line}:${log.column}: ${describeFinding(log, report.command)}`)
+      .join('\n');
+    const message = `${findings.length} console statement${findings.length === 1 ? '' : 's'}`;
+    return `${open}\n      <failure message="${message}" type="console-statement">${escapeXml(details)}</failure>\n    </testcase>`;
+  });
+
+  const failures = report.results.filter(r => r.status !== 'error' && getFindings(r).length > 0).length;
+  const counts = `tests="${report.results.length}" failures="${failures}" errors="${report.summary.errors}"`;
+  const time = (report.executionTime / 1000).toFixed(3);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${report.tool.name}" ${counts} time="${time}">`,
+    `  <testsuite name="${report.tool.name} ${report.command}" ${counts} skipped="${report.summary.skipped}" time="${time}" timestamp="${report.generatedAt}">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { extension: '.xml', format };
@@ -0,0 +1,274 @@
+const path = require('path');
+const { getTargetName } = require('../report');
+
+/**
+ * Describes what happened to a detected console call, including why it was kept.
+ */
+function formatAction(log) {
+  if (log.action !== 'kept') return log.action;
+  if (log.reason === 'directive') return 'kept (directive)';
+  return log.reason === 'declined' ? 'kept (declined)' : 'kept (method not selected)';
+}
+
+/**
+ * Renders the report of a purge run as a comprehensive Markdown document.
+ */
+function format(report) {
+  const { options, inputs, isFolder, runId, executionTime, results, folders: folderStats } = report;
+  const files = results;
+  const modifiedFiles = results.filter(r => r.status === 'modified');
+  const cleanFiles = results.filter(r => r.status === 'clean');
+  const errorFiles = results.filter(r => r.status === 'error');
+  const skippedFiles = results.filter(r => r.status === 'skipped');
+  const totalChanges = report.summary.changes;
+
+  // Calculate detailed statistics
+  const logTypeStats = {};
+  const totalSizeReduction = modifiedFiles.reduce((sum, f) => sum + (f.fileStats?.sizeReduction || 0), 0);
+  const totalLinesReduced = modifiedFiles.reduce((sum, f) => sum + (f.fileStats?.linesReduced || 0), 0);
+  
+  const keptTypeStats = {};
+  const directiveKept = [];
+  
+  // Gather statistics per target; kept calls are counted separately per reason
+  results.forEach(file => {
+    file.detectedLogs?.forEach(log => {
+      const target = getTargetName(log);
+      if (log.action === 'kept') {
+        const key = `${target}:${log.reason}`;
+        if (!keptTypeStats[key]) {
+          keptTypeStats[key] = { target, count: 0, reason: log.reason };
+        }
+        keptTypeStats[key].count++;
+        if (log.reason === 'directive') {
+          directiveKept.push({ filePath: file.filePath, log });
+        }
+        return;
+      }
+      if (!logTypeStats[target]) {
+        logTypeStats[target] = { count: 0, action: log.action };
+      }
+      logTypeStats[target].count++;
+    });
+  });
+
+  let reportContent = `# 🔥 Log-Purge Execution Report\n\n`;
+  
+  // Executive Summary
+  reportContent += `## 📊 Executive Summary\n\n`;
+  reportContent += `| Metric | Value |\n`;
+  reportContent += `|--------|-------|\n`;
+  reportContent += `| **Execution Date** | ${new Date(report.generatedAt).toLocaleString()} |\n`;
+  reportContent += `| **Execution Time** | ${executionTime}ms (${(executionTime/1000).toFixed(2)}s) |\n`;
+  reportContent += `| **Operation Mode** | ${options.mode.toUpperCase()} |\n`;
+  const inputLabel = inputs.length > 1 ? 'Inputs' : isFolder ? 'Folder Path' : 'Glob Pattern';
+  reportContent += `| **${inputLabel}** | ${inputs.map(input => `\`${input}\``).join(', ')} |\n`;
+  if (isFolder) {
+    reportContent += `| **File Extensions** | \`${options.extensions}\` |\n`;
+  }
+  reportContent += `| **Dry Run Mode** | ${options.dryRun ? '✅ Yes' : '❌ No'} |\n`;
+  if (runId) {
+    reportContent += `| **Run ID** | \`${runId}\` (undo with \`log-purge restore ${runId}\`) |\n`;
+  }
+  reportContent += `| **Files Scanned** | ${files.length} |\n`;
+  reportContent += `| **Files Modified** | ${modifiedFiles.length} |\n`;
+  reportContent += `| **Files Clean** | ${cleanFiles.length} |\n`;
+  reportContent += `| **Files with Errors** | ${errorFiles.length} |\n`;
+  if (skippedFiles.length > 0) {
+    reportContent += `| **Files Skipped** | ${skippedFiles.length} |\n`;
+  }
+  reportContent += `| **Console Statements ${options.mode === 'remove' ? 'Removed' : options.mode === 'comment' ? 'Commented' : 'Replaced'}** | ${totalChanges} |\n`;
+  if (options.mode === 'remove') {
+    reportContent += `| **Total Size Reduction** | ${totalSizeReduction} bytes (${(totalSizeReduction/1024).toFixed(2)} KB) |\n`;
+    reportContent += `| **Total Lines Reduced** | ${totalLinesReduced} |\n`;
+  }
+  reportContent += `\n`;
+
+  // Folder Statistics (if batch processing was used)
+  if (options.batchFolders || isFolder) {
+    reportContent += `## 📁 Folder Statistics\n\n`;
+    reportContent += `| Folder | Files Scanned | Files Modified | Console Statements ${options.mode === 'remove' ? 'Removed' : options.mode === 'comment' ? 'Commented' : 'Replaced'} |\n`;
+    reportContent += `|--------|---------------|----------------|----------|\n`;
+    [...folderStats]
+      .sort((a, b) => b.changes - a.changes)
+      .forEach(stat => {
+        const relativePath = stat.folder.replace(process.cwd(), '.');
+        reportContent += `| \`${relativePath}\` | ${stat.total} | ${stat.modified} | ${stat.changes} |\n`;
+      });
+    reportContent += `\n`;
+  }
+
+  // Breakdown by target (console method, custom callee or debugger)
+  if (Object.keys(logTypeStats).length > 0) {
+    reportContent += `## 🎯 Breakdown by Target\n\n`;
+    reportContent += `| Target | Count | Action |\n`;
+    reportContent += `|--------|-------|--------|\n`;
+    Object.entries(logTypeStats)
+      .sort(([,a], [,b]) => b.count - a.count)
+      .forEach(([target, stats]) => {
+        reportContent += `| \`${target}\` | ${stats.count} | ${stats.action} |\n`;
+      });
+    reportContent += `\n`;
+  }
+
+  // Kept Console Calls
+  if (Object.keys(keptTypeStats).length > 0) {
+    reportContent += `## 🛡️ Kept Console Calls\n\n`;
+    reportContent += `| Target | Count | Reason |\n`;
+    reportContent += `|--------|-------|--------|\n`;
+    Object.values(keptTypeStats)
+      .sort((a, b) => b.count - a.count)
+      .forEach(stats => {
+        reportContent += `| \`${stats.target}\` | ${stats.count} | ${formatAction({ action: 'kept', reason: stats.reason })} |\n`;
+      });
+    reportContent += `\n`;
+
+    if (directiveKept.length > 0) {
+      reportContent += `### Kept by Directive Comments\n\n`;
+      reportContent += `| File | Line | Target | Content |\n`;
+      reportContent += `|------|------|--------|---------|\n`;
+      directiveKept.forEach(({ filePath, log }) => {
+        const relativePath = filePath.replace(process.cwd(), '.');
+        const content = log.content.length > 50 ? log.content.substring(0, 47) + '...' : log.content;
+        reportContent += `| \`${relativePath}\` | ${log.line} | \`${getTargetName(log)}\` | \`${content}\` |\n`;
+      });
+      reportContent += `\n`;
+    }
+  }
+
+  // Safety decisions made while rewriting calls used as values or with side-effecting arguments
+  const safetyDecisions = results.flatMap(file => (file.detectedLogs || [])
+    .filter(log => log.safety)
+    .map(log => ({ filePath: file.filePath, log })));
+  if (safetyDecisions.length > 0) {
+    reportContent += `## ⚠️ Safety Decisions\n\n`;
+    reportContent += `| File | Line | Target | Action | Decision |\n`;
+    reportContent += `|------|------|--------|--------|----------|\n`;
+    safetyDecisions.forEach(({ filePath, log }) => {
+      const relativePath = filePath.replace(process.cwd(), '.');
+      reportContent += `| \`${relativePath}\` | ${log.line} | \`${getTargetName(log)}\` | ${log.action} | ${log.safety.detail.replace(/\|/g, '\\|')} |\n`;
+    });
+    reportContent += `\n`;
+  }
+
+  // File-by-File Analysis
+  if (modifiedFiles.length > 0) {
+    reportContent += `## 📝 Modified Files Details\n\n`;
+    modifiedFiles.forEach((file, index) => {
+      const fileName = path.basename(file.filePath);
+      const relativePath = file.filePath.replace(process.cwd(), '.');
+      
+      reportContent += `### ${index + 1}. \`${fileName}\`\n\n`;
+      reportContent += `**Path:** \`${relativePath}\`\n\n`;
+      reportContent += `**Summary:**\n`;
+      reportContent += `- **Console statements ${options.mode}d:** ${file.changes}\n`;
+      
+      if (file.fileStats) {
+        reportContent += `- **Original size:** ${file.fileStats.originalSize} bytes (${file.fileStats.originalLines} lines)\n`;
+        reportContent += `- **New size:** ${file.fileStats.newSize} bytes (${file.fileStats.newLines} lines)\n`;
+        if (file.fileStats.sizeReduction > 0) {
+          reportContent += `- **Size reduction:** ${file.fileStats.sizeReduction} bytes (${file.fileStats.linesReduced} lines)\n`;
+        }
+      }
+      reportContent += `\n`;
+
+      if (file.detectedLogs && file.detectedLogs.length > 0) {
+        reportContent += `**Console statements found:**\n\n`;
+        reportContent += `| Line | Target | Action | Content |\n`;
+        reportContent += `|------|--------|--------|----------|\n`;
+        file.detectedLogs.forEach(log => {
+          const content = log.content.length > 50 ? log.content.substring(0, 47) + '...' : log.content;
+          reportContent += `| ${log.line} | \`${getTargetName(log)}\` | ${formatAction(log)} | \`${content}\` |\n`;
+        });
+        reportContent += `\n`;
+      }
+    });
+  }
+
+  // Clean Files Summary
+  if (cleanFiles.length > 0 && cleanFiles.length <= 20) {
+    reportContent += `## ✅ Clean Files (No Console Statements)\n\n`;
+    cleanFiles.forEach(file => {
+      reportContent += `- \`${path.basename(file.filePath)}\`\n`;
+    });
+    reportContent += `\n`;
+  } else if (cleanFiles.length > 20) {
+    reportContent += `## ✅ Clean Files\n\n`;
+    reportContent += `${cleanFiles.length} files were scanned and found to be clean (no console statements detected).\n\n`;
+  }
+
+  // Error Files
+  if (errorFiles.length > 0) {
+    reportContent += `## ❌ Files with Errors\n\n`;
+    errorFiles.forEach(file => {
+      reportContent += `### \`${path.basename(file.filePath)}\`\n`;
+      reportContent += `**Path:** \`${file.filePath}\`\n`;
+      reportContent += `**Error:** ${file.error}\n\n`;
+    });
+  }
+
+  // Skipped Files
+  if (skippedFiles.length > 0) {
+    reportContent += `## ⏭️ Skipped Files\n\n`;
+    skippedFiles.forEach(file => {
+      reportContent += `- \`${file.filePath}\` (${file.reason})\n`;
+    });
+    reportContent += `\n`;
+  }
+
+  // Configuration Details
+  reportContent += `## ⚙️ Configuration\n\n`;
+  reportContent += `**Command Line Options:**\n`;
+  reportContent += `- **Mode:** ${options.mode}\n`;
+  if (options.replaceWith) {
+    reportContent += `- **Replace With:** \`${options.replaceWith}\`\n`;
+  }
+  if (options.replaceMap) {
+    const mapping = Object.entries(options.replaceMap).map(([method, target]) => `${method} → ${target}`).join(', ');
+    reportContent += `- **Replace Map:** \`${mapping}\`\n`;
+  }
+  if (options.loggerImport) {
+    const source = typeof options.loggerImport === 'string' ? options.loggerImport : options.loggerImport.source;
+    reportContent += `- **Logger Import:** \`${source}\` (added to ${modifiedFiles.filter(f => f.importAdded).length} files)\n`;
+  }
+  if (options.ignore && options.ignore.length > 0) {
+    reportContent += `- **Ignore Patterns:** ${[].concat(options.ignore).map(pattern => `\`${pattern}\``).join(', ')}\n`;
+  }
+  if (options.defaultIgnore === false) {
+    reportContent += `- **Default Ignores:** off\n`;
+  }
+  if (options.methods && options.methods.length > 0) {
+    reportContent += `- **Methods:** \`${options.methods.join(', ')}\`\n`;
+  }
+  if (options.keep && options.keep.length > 0) {
+    reportContent += `- **Kept Methods:** \`${options.keep.join(', ')}\`\n`;
+  }
+  if (options.staged) {
+    reportContent += `- **Git Change Set:** staged files\n`;
+  } else if (options.changedSince) {
+    reportContent += `- **Git Change Set:** changed since \`${options.changedSince}\`\n`;
+  }
+  if (options.onlyChangedLines) {
+    reportContent += `- **Only Changed Lines:** true\n`;
+  }
+  reportContent += `- **Dry Run:** ${options.dryRun}\n`;
+  reportContent += `- **Auto-confirm:** ${options.yes}\n`;
+  reportContent += `\n`;
+
+  // Performance Metrics
+  reportContent += `## 📈 Performance Metrics\n\n`;
+  reportContent += `- **Total execution time:** ${executionTime}ms\n`;
+  reportContent += `- **Average time per file:** ${(executionTime / files.length).toFixed(2)}ms\n`;
+  reportContent += `- **Files processed per second:** ${(files.length / (executionTime / 1000)).toFixed(2)}\n`;
+  reportContent += `- **Console statements processed per second:** ${(totalChanges / (executionTime / 1000)).toFixed(2)}\n`;
+  reportContent += `\n`;
+
+  // Footer
+  reportContent += `---\n`;
+  reportContent += `*Report generated by [Log-Purge](https://github.com/new-horizon-code/log-purge) v${report.tool.version}*\n`;
+  reportContent += `*Execution completed at ${report.generatedAt}*\n`;
+
+  return reportContent;
+}
+
+module.exports = { extension: '.md', format };
@@ -0,0 +1,99 @@
+const { pathToFileURL } = require('url');
+const { getFindings, getTargetName, describeFinding, toRelativePath } = require('../report');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const RULES = [
+  {
+    id: 'console-statement',
+    name: 'ConsoleStatement',
+    shortDescription: { text: 'Console statement' },
+    fullDescription: { text: 'A console call, or a configured target such as a debug helper or debugger statement, that should not ship in production code.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'unresolved-console-usage',
+    name: 'UnresolvedConsoleUsage',
+    shortDescription: { text: 'Unresolved console usage' },
+    fullDescription: { text: 'Console usage that cannot be followed to its calls, such as dynamic access or a console method passed around as a value.' },
+    defaultConfiguration: { level: 'warning' },
+  },
+  {
+    id: 'parse-error',
+    name: 'ParseError',
+    shortDescription: { text: 'File could not be processed' },
+    defaultConfiguration: { level: 'error' },
+  },
+];
+
+/**
+ * Builds a SARIF location for a line and 1-based column of a file.
+ */
+function getLocation(filePath, line = 1, column = 1) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: encodeURI(toRelativePath(filePath)), uriBaseId: '%SRCROOT%' },
+      region: { startLine: line, startColumn: column },
+    },
+  };
+}
+
+/**
+ * Renders the report as a SARIF 2.1.0 log for code-scanning upload. Calls
+ * kept by a directive comment are included as suppressed results.
+ */
+function format(report) {
+  const results = [];
+  report.results.forEach(result => {
+    if (result.status === 'error') {
+      results.push({
+        ruleId: 'parse-error',
+        level: 'error',
+        message: { text: result.error },
+        locations: [getLocation(result.filePath)],
+      });
+      return;
+    }
+    getFindings(result).forEach(log => {
+      results.push({
+        ruleId: log.safety && log.safety.decision === 'unresolved' ? 'unresolved-console-usage' : 'console-statement',
+        level: report.command === 'check' ? 'warning' : 'note',
+        message: { text: describeFinding(log, report.command) },
+        locations: [getLocation(result.filePath, log.line, log.column)],
+      });
+    });
+    (result.detectedLogs || [])
+      .filter(log => log.action === 'kept' && log.reason === 'directive')
+      .forEach(log => {
+        results.push({
+          ruleId: 'console-statement',
+          level: 'warning',
+          message: { text: getTargetName(log) },
+          locations: [getLocation(result.filePath, log.line, log.column)],
+          suppressions: [{ kind: 'inSource' }],
+        });
+      });
+  });
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: report.tool.name,
+          version: report.tool.version,
+          informationUri: report.tool.informationUri,
+          rules: RULES,
+        },
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `${pathToFileURL(process.cwd()).href}/` },
+      },
+      results,
+    }],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+module.exports = { extension: '.sarif', format };
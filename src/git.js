@@ -0,0 +1,213 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Markers around the block install-hook writes, so it can be found again.
+const HOOK_START = '# >>> log-purge >>>';
+const HOOK_END = '# <<< log-purge <<<';
+
+/**
+ * Error raised when git is missing, the directory is not a repository or a
+ * git command fails.
+ */
+class GitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GitError';
+  }
+}
+
+/**
+ * Runs a git command and resolves with its stdout.
+ */
+function runGit(args, { cwd = process.cwd(), encoding = 'utf8' } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding, maxBuffer: 256 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (String(stderr) || error.message).trim().split('\n')[0];
+        reject(new GitError(`git ${args[0]} failed: ${detail}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Returns the absolute path of the repository's top-level directory.
+ */
+async function getRepoRoot(cwd) {
+  return (await runGit(['rev-parse', '--show-toplevel'], { cwd })).trim();
+}
+
+/**
+ * Splits NUL-separated git output into repo-relative paths.
+ */
+function splitPaths(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Returns the git diff arguments that select the change set: the index for
+ * `staged`, or the working tree compared to `since`.
+ */
+function getDiffArgs({ staged, since }) {
+  return staged ? ['--cached'] : [since];
+}
+
+/**
+ * Throws a readable error when `ref` does not name a commit.
+ */
+async function verifyRef(ref, cwd) {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { cwd });
+  } catch (error) {
+    throw new GitError(`Unknown git ref "${ref}".`);
+  }
+}
+
+/**
+ * Lists the files (absolute paths) added, copied, modified or renamed in the
+ * change set. With `since`, untracked files count as changed too.
+ */
+async function getChangedFiles({ staged = false, since, cwd } = {}) {
+  const root = await getRepoRoot(cwd);
+  if (!staged) await verifyRef(since, root);
+  const diffed = splitPaths(await runGit(['diff', '--name-only', '--diff-filter=ACMR', '-z', ...getDiffArgs({ staged, since })], { cwd: root }));
+  const untracked = staged
+    ? []
+    : splitPaths(await runGit(['ls-files', '--others', '--exclude-standard', '-z'], { cwd: root }));
+  return new Set([...diffed, ...untracked].map(file => path.resolve(root, file)));
+}
+
+/**
+ * Lists the staged files (absolute paths) that also have unstaged changes.
+ */
+async function getPartiallyStagedFiles({ cwd } = {}) {
+  const root = await getRepoRoot(cwd);
+  const staged = splitPaths(await runGit(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '-z'], { cwd: root }));
+  const unstaged = new Set(splitPaths(await runGit(['diff', '--name-only', '-z'], { cwd: root })));
+  return new Set(staged.filter(file => unstaged.has(file)).map(file => path.resolve(root, file)));
+}
+
+/**
+ * Reads the staged content of a file from the index, which is what a commit
+ * would contain whatever its working copy looks like.
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function readStagedFile(filePath) {
+  const absolute = path.resolve(filePath);
+  return runGit(['show', `:./${path.basename(absolute)}`], { cwd: path.dirname(absolute), encoding: 'buffer' });
+}
+
+/**
+ * Parses `git diff -U0` output into a map of absolute path to the 1-based,
+ * inclusive line ranges added or changed in the new version of each file.
+ */
+function parseChangedLines(diffOutput, root) {
+  const changed = new Map();
+  let current = null;
+  diffOutput.split('\n').forEach(line => {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      current = target === '/dev/null' ? null : path.resolve(root, target.replace(/^b\//, ''));
+      if (current && !changed.has(current)) changed.set(current, []);
+      return;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && current) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      if (count > 0) changed.get(current).push([start, start + count - 1]);
+    }
+  });
+  return changed;
+}
+
+/**
+ * Returns the changed line ranges of every file in the change set. Untracked
+ * files are changed in full.
+ */
+async function getChangedLines({ staged = false, since, cwd } = {}) {
+  const root = await getRepoRoot(cwd);
+  const diff = await runGit(['diff', '-U0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR', ...getDiffArgs({ staged, since })], { cwd: root });
+  const changed = parseChangedLines(diff, root);
+  if (!staged) {
+    const untracked = splitPaths(await runGit(['ls-files', '--others', '--exclude-standard', '-z'], { cwd: root }));
+    untracked.forEach(file => changed.set(path.resolve(root, file), [[1, Infinity]]));
+  }
+  return changed;
+}
+
+/**
+ * Adds files back to the index after they were rewritten.
+ */
+async function stageFiles(files, { cwd } = {}) {
+  if (files.length === 0) return;
+  await runGit(['add', '--', ...files.map(file => path.resolve(file))], { cwd });
+}
+
+/**
+ * Builds the shell snippet a hook runs.
+ */
+function getHookBlock(command) {
+  return `${HOOK_START}\n${command} || exit 1\n${HOOK_END}\n`;
+}
+
+/**
+ * Writes a pre-commit hook that runs log-purge. An existing hook is never
+ * replaced: the log-purge block is appended to it only when `append` is set,
+ * and an earlier log-purge block is updated in place.
+ *
+ * @returns {Promise<{ hookPath: string, action: 'created'|'updated'|'appended' }>}
+ */
+async function installHook({ command, append = false, cwd } = {}) {
+  const hooksDir = path.resolve(cwd || process.cwd(), (await runGit(['rev-parse', '--git-path', 'hooks'], { cwd })).trim());
+  if (hooksDir === path.resolve('/dev/null')) {
+    throw new GitError('Git hooks are disabled in this repository (core.hooksPath is /dev/null).');
+  }
+  const hookPath = path.join(hooksDir, 'pre-commit');
+  const block = getHookBlock(command);
+
+  let existing = null;
+  try {
+    existing = await fs.readFile(hookPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let content;
+  let action;
+  if (existing === null) {
+    content = `#!/bin/sh\n${block}`;
+    action = 'created';
+  } else if (existing.includes(HOOK_START) && existing.includes(HOOK_END)) {
+    const start = existing.indexOf(HOOK_START);
+    const end = existing.indexOf(HOOK_END) + HOOK_END.length;
+    content = existing.slice(0, start) + block.trimEnd() + existing.slice(end);
+    action = 'updated';
+  } else if (append) {
+    content = `${existing.replace(/\n*$/, '\n')}\n${block}`;
+    action = 'appended';
+  } else {
+    throw new GitError(`A pre-commit hook already exists at ${hookPath}. Re-run with --append to add log-purge to it, or add this line yourself:\n  ${command}`);
+  }
+
+  await fs.mkdir(hooksDir, { recursive: true });
+  await fs.writeFile(hookPath, content, { encoding: 'utf8', mode: 0o755 });
+  await fs.chmod(hookPath, 0o755);
+  return { hookPath, action };
+}
+
+module.exports = {
+  GitError,
+  getRepoRoot,
+  getChangedFiles,
+  getPartiallyStagedFiles,
+  getChangedLines,
+  parseChangedLines,
+  readStagedFile,
+  stageFiles,
+  installHook,
+};
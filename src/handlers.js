@@ -0,0 +1,131 @@
+const path = require('path');
+
+// Files whose JavaScript lives in <script> blocks (and Astro frontmatter).
+const FRAMEWORK_EXTENSIONS = ['.vue', '.svelte', '.astro', '.html', '.htm'];
+
+// Matches a <script> element, allowing ">" inside quoted attribute values.
+const SCRIPT_TAG_REGEX = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi;
+
+const HTML_COMMENT_REGEX = /<!--[\s\S]*?-->/g;
+
+// Astro component script between "---" fences at the top of the file.
+const ASTRO_FRONTMATTER_REGEX = /^(\s*---[^\S\r\n]*\r?\n)([\s\S]*?)\r?\n---/;
+
+// <script type="..."> values that hold JavaScript or TypeScript.
+const SCRIPT_TYPES = {
+  '': 'js',
+  module: 'js',
+  'text/javascript': 'js',
+  'application/javascript': 'js',
+  'text/babel': 'jsx',
+  'text/jsx': 'jsx',
+  'text/typescript': 'ts',
+  'application/typescript': 'ts',
+};
+
+/**
+ * Checks whether a file needs its script blocks extracted before parsing.
+ */
+function isFrameworkFile(filename) {
+  return FRAMEWORK_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * Reads an attribute value out of a tag's attribute string.
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attributes);
+  if (!match) return null;
+  return match[1] ?? match[2] ?? match[3];
+}
+
+/**
+ * Finds the script regions of a Vue, Svelte, Astro or HTML file as
+ * { start, end, lang } offsets into the original code. Returns null for files
+ * that are plain JavaScript / TypeScript.
+ */
+function findScriptRegions(code, filename) {
+  if (!isFrameworkFile(filename)) return null;
+  const regions = [];
+
+  if (path.extname(filename).toLowerCase() === '.astro') {
+    const frontmatter = ASTRO_FRONTMATTER_REGEX.exec(code);
+    if (frontmatter) {
+      const start = frontmatter[1].length;
+      regions.push({ start, end: start + frontmatter[2].length, lang: 'ts' });
+    }
+  }
+
+  const comments = [];
+  for (const match of code.matchAll(HTML_COMMENT_REGEX)) {
+    comments.push({ start: match.index, end: match.index + match[0].length });
+  }
+  const inComment = index => comments.some(c => index >= c.start && index < c.end);
+  const inFrontmatter = index => regions.some(r => index >= r.start && index < r.end);
+
+  for (const match of code.matchAll(SCRIPT_TAG_REGEX)) {
+    if (inComment(match.index) || inFrontmatter(match.index)) continue;
+    const attributes = match[1];
+    const type = (getAttribute(attributes, 'type') || '').trim().toLowerCase();
+    if (!(type in SCRIPT_TYPES)) continue;
+
+    const langAttr = (getAttribute(attributes, 'lang') || '').trim().toLowerCase();
+    const lang = ['ts', 'tsx', 'jsx'].includes(langAttr) ? langAttr : SCRIPT_TYPES[type];
+    const start = match.index + match[0].indexOf('>') + 1;
+    regions.push({ start, end: start + match[2].length, lang });
+  }
+
+  return regions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Blanks out everything outside the script regions while keeping line breaks,
+ * so the result parses as JavaScript with offsets, lines and columns that
+ * match the original file.
+ */
+function maskOutsideRegions(code, regions) {
+  let masked = '';
+  let position = 0;
+  const blank = text => text.replace(/[^\r\n]/g, ' ');
+  regions.forEach(region => {
+    masked += blank(code.slice(position, region.start)) + code.slice(region.start, region.end);
+    position = region.end;
+  });
+  return masked + blank(code.slice(position));
+}
+
+/**
+ * Returns a stand-in filename that selects the right parser syntax for a
+ * script region's language.
+ */
+function getScriptFilename(filename, region) {
+  const ext = { ts: '.ts', tsx: '.tsx', jsx: '.jsx' }[region.lang] || '.js';
+  return `${filename}${ext}`;
+}
+
+/**
+ * Prepares a file for parsing. Framework files give one source per script
+ * region, each masked to that region alone so every block is parsed (and its
+ * scopes resolved) on its own, with offsets that match the original file.
+ * Everything else is a single source, returned unchanged.
+ *
+ * @returns {Array<{ code: string, filename: string, region: object|null }>}
+ */
+function prepareSources(code, filename) {
+  const regions = findScriptRegions(code, filename);
+  if (!regions) {
+    return [{ code, filename, region: null }];
+  }
+  return regions.map(region => ({
+    code: maskOutsideRegions(code, [region]),
+    filename: getScriptFilename(filename, region),
+    region,
+  }));
+}
+
+module.exports = {
+  FRAMEWORK_EXTENSIONS,
+  isFrameworkFile,
+  findScriptRegions,
+  prepareSources,
+};
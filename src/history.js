@@ -0,0 +1,56 @@
+const path = require('path');
+const chalk = require('chalk');
+const { listRuns, restoreRun, JOURNAL_DIR } = require('./journal');
+
+/**
+ * Restores the files of a journaled run and prints what happened to each one.
+ *
+ * @returns {Promise<{ restored: number, skipped: number }>}
+ */
+async function restore(runId, options = {}) {
+  const { run, files } = await restoreRun(runId, { force: options.force });
+
+  console.log(chalk.cyan(`Restoring run ${chalk.bold(run.id)} (${run.mode}, ${new Date(run.createdAt).toLocaleString()})`));
+  files.forEach(file => {
+    const relativePath = path.relative(process.cwd(), file.path) || file.path;
+    if (file.status === 'restored') {
+      console.log(`  ${chalk.green('✔ restored')}  ${relativePath}`);
+    } else if (file.status === 'partial') {
+      console.log(`  ${chalk.green('✔ restored')}  ${relativePath} ${chalk.gray(`(to before its last purge; ${file.reason})`)}`);
+    } else if (file.status === 'unchanged') {
+      console.log(`  ${chalk.gray('- unchanged')} ${relativePath} ${chalk.gray('(already original)')}`);
+    } else {
+      console.log(`  ${chalk.yellow('✖ skipped')}   ${relativePath} ${chalk.yellow(`(${file.reason})`)}`);
+    }
+  });
+
+  const restored = files.filter(file => file.status === 'restored' || file.status === 'partial').length;
+  const skipped = files.filter(file => file.status === 'skipped').length;
+  console.log(chalk.green.bold(`\n${restored} file${restored === 1 ? '' : 's'} restored.`));
+  if (skipped > 0) {
+    console.log(chalk.yellow(`${skipped} file${skipped === 1 ? ' was' : 's were'} edited or deleted after the run and left untouched. Re-run with --force to overwrite them.`));
+  }
+  return { restored, skipped };
+}
+
+/**
+ * Prints the journaled runs, newest first.
+ */
+async function history() {
+  const runs = await listRuns();
+  if (runs.length === 0) {
+    console.log(chalk.yellow(`No runs recorded in ${JOURNAL_DIR}/ yet.`));
+    return runs;
+  }
+
+  console.log(chalk.blue.bold('🕘 Log-Purge Run History:'));
+  runs.forEach(run => {
+    const status = run.restoredAt
+      ? chalk.gray(`restored ${new Date(run.restoredAt).toLocaleString()}`)
+      : run.status === 'completed' ? chalk.green('completed') : chalk.red('incomplete');
+    console.log(`  ${chalk.bold(run.id)}  ${new Date(run.createdAt).toLocaleString()}  ${chalk.magenta(run.mode.padEnd(7))}  ${String(run.files.length).padStart(4)} files  ${status}`);
+  });
+  return runs;
+}
+
+module.exports = { restore, history };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { walk } = require('./detector');
+
+/**
+ * Checks whether a node is a `require('<source>')` call.
+ */
+function isRequireCall(node, source) {
+  return node
+    && node.type === 'CallExpression'
+    && node.callee.type === 'Identifier'
+    && node.callee.name === 'require'
+    && node.arguments.length === 1
+    && node.arguments[0].type === 'StringLiteral'
+    && (source === undefined || node.arguments[0].value === source);
+}
+
+/**
+ * Returns the top-level `const x = require(...)` declarations of a program.
+ */
+function getRequireDeclarations(program) {
+  return program.body.filter(node => node.type === 'VariableDeclaration'
+    && node.declarations.some(decl => isRequireCall(decl.init)));
+}
+
+/**
+ * Collects the names bound at the top level of a program.
+ */
+function getTopLevelBindings(program) {
+  const names = new Set();
+  const addPattern = pattern => {
+    if (!pattern) return;
+    if (pattern.type === 'Identifier') names.add(pattern.name);
+    else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => addPattern(p.type === 'RestElement' ? p.argument : p.value));
+    else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(addPattern);
+    else if (pattern.type === 'AssignmentPattern') addPattern(pattern.left);
+    else if (pattern.type === 'RestElement') addPattern(pattern.argument);
+  };
+
+  program.body.forEach(node => {
+    const decl = node.type === 'ExportNamedDeclaration' && node.declaration ? node.declaration : node;
+    if (decl.type === 'ImportDeclaration') {
+      decl.specifiers.forEach(spec => names.add(spec.local.name));
+    } else if (decl.type === 'VariableDeclaration') {
+      decl.declarations.forEach(d => addPattern(d.id));
+    } else if ((decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+      names.add(decl.id.name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Checks whether a program calls `require()` or refers to `module` or
+ * `exports` anywhere (`module.exports = ...`, `exports.run = ...`).
+ */
+function usesCommonJs(program) {
+  let found = false;
+  walk(program, (node, parent) => {
+    if (found) return false;
+    if (isRequireCall(node)) {
+      found = true;
+    } else if (node.type === 'Identifier' && (node.name === 'module' || node.name === 'exports')) {
+      // `foo.module` and `{ exports: 1 }` name properties, not the CommonJS bindings
+      const isProperty = parent
+        && ((/MemberExpression$/.test(parent.type) && parent.property === node && !parent.computed)
+          || (/^Object(Property|Method)$/.test(parent.type) && parent.key === node && !parent.computed && !parent.shorthand));
+      found = !isProperty;
+    }
+    return !found;
+  });
+  return found;
+}
+
+// The "type" of the nearest package.json of every directory looked up, null when it has none.
+const packageTypes = new Map();
+
+/**
+ * Returns the "type" field ("module" or "commonjs") of the package.json
+ * closest to a directory, or null when there is none or it sets no type.
+ */
+function getPackageType(dir) {
+  if (!packageTypes.has(dir)) {
+    let type;
+    try {
+      const { type: field } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      type = field === 'module' || field === 'commonjs' ? field : null;
+    } catch (error) {
+      const parent = path.dirname(dir);
+      type = parent === dir ? null : getPackageType(parent);
+    }
+    packageTypes.set(dir, type);
+  }
+  return packageTypes.get(dir);
+}
+
+/**
+ * Detects whether a file is written as an ES module or as CommonJS. Without
+ * imports, exports or CommonJS usage, the "type" of the nearest package.json
+ * decides, as it does for Node. Failing that, a `'use strict'` directive or a
+ * shebang marks a CommonJS script (modules are strict already, and
+ * executables are mostly run by Node as CommonJS); anything else defaults to
+ * ESM.
+ */
+function detectModuleStyle(program, filename) {
+  const hasEsm = program.body.some(node => /^(Import|Export)/.test(node.type));
+  if (hasEsm) return 'esm';
+  const ext = path.extname(filename || '');
+  if (ext === '.cjs') return 'cjs';
+  if (ext === '.mjs') return 'esm';
+  if (usesCommonJs(program)) return 'cjs';
+  const packageType = filename ? getPackageType(path.dirname(path.resolve(filename))) : null;
+  if (packageType) return packageType === 'module' ? 'esm' : 'cjs';
+  const strict = (program.directives || []).some(directive => directive.value.value === 'use strict');
+  return strict || program.interpreter ? 'cjs' : 'esm';
+}
+
+/**
+ * Builds the edit that adds the logger import to a file, matching its module
+ * style, quotes and semicolons. Returns null when the file already imports the
+ * logger or already has a binding with the logger's name.
+ *
+ * @param {object} ast Babel AST of the file.
+ * @param {string} code Source code of the file.
+ * @param {{ source: string, name: string, named?: boolean }} loggerImport
+ * @param {string} [filename]
+ */
+function getImportEdit(ast, code, loggerImport, filename) {
+  const { program } = ast;
+  const { source, name, named = false } = loggerImport;
+
+  const imports = program.body.filter(node => node.type === 'ImportDeclaration');
+  const requires = getRequireDeclarations(program);
+  const alreadyImported = imports.some(node => node.source.value === source)
+    || requires.some(node => node.declarations.some(decl => isRequireCall(decl.init, source)));
+  if (alreadyImported || getTopLevelBindings(program).has(name)) {
+    return null;
+  }
+
+  const style = detectModuleStyle(program, filename);
+  const anchors = style === 'esm' ? imports : requires;
+  const sample = anchors[0] ? code.slice(anchors[0].start, anchors[0].end) : null;
+  const quote = sample && sample.includes('"') && !sample.includes("'") ? '"' : "'";
+  const semicolon = sample && !sample.trimEnd().endsWith(';') ? '' : ';';
+  const binding = named ? `{ ${name} }` : name;
+  const statement = style === 'esm'
+    ? `import ${binding} from ${quote}${source}${quote}${semicolon}`
+    : `const ${binding} = require(${quote}${source}${quote})${semicolon}`;
+
+  if (anchors.length > 0) {
+    const last = anchors[anchors.length - 1];
+    return { start: last.end, end: last.end, text: `\n${statement}` };
+  }
+  const directives = program.directives || [];
+  if (directives.length > 0) {
+    const last = directives[directives.length - 1];
+    return { start: last.end, end: last.end, text: `\n${statement}` };
+  }
+  const position = program.body[0] ? program.body[0].start : code.length;
+  return { start: position, end: position, text: `${statement}\n` };
+}
+
+module.exports = { detectModuleStyle, getImportEdit };
@@ -0,0 +1,15 @@
+const { run, purgeSource, purgeFiles } = require('./processor');
+const { discoverFiles } = require('./discovery');
+const { buildReport } = require('./report');
+const { loadConfig, ConfigError } = require('./config');
+
+module.exports = {
+  // The CLI's purge run, the package's only export before purgeSource and purgeFiles
+  run,
+  purgeSource,
+  purgeFiles,
+  discoverFiles,
+  buildReport,
+  loadConfig,
+  ConfigError,
+};
@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const readline = require('readline');
+const { colorizePatch } = require('./diff');
+const { getTargetName } = require('./report');
+
+// Prompt verbs for each action, as in "Remove console.log at src/a.js:3?".
+const VERBS = {
+  removed: 'Remove',
+  commented: 'Comment out',
+  replaced: 'Replace',
+  dropped: 'Drop',
+};
+
+const HELP = [
+  'y - apply this change',
+  'n - skip this change',
+  'a - apply this and all remaining changes in the file',
+  'q - quit; skip this and all remaining changes',
+  '? - print help',
+];
+
+/**
+ * Asks a question on the terminal and resolves with the raw answer.
+ */
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Creates the per-change approval callback used by `--interactive`. Like
+ * `git add -p`, it shows each change as a diff and asks y/n/a/q. A single
+ * readline interface serves the whole session, so answers piped to stdin are
+ * not lost between prompts; call `close()` when done.
+ */
+function createApprover() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    // Treat end of input like "q".
+    waiting.splice(0).forEach(resolve => resolve('q'));
+  });
+
+  const ask = question => {
+    process.stdout.write(question);
+    if (lines.length > 0) return Promise.resolve(lines.shift());
+    if (closed) return Promise.resolve('q');
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  let quit = false;
+  const acceptedFiles = new Set();
+
+  async function approve({ filePath, log, patch }) {
+    if (quit) return false;
+    if (acceptedFiles.has(filePath)) return true;
+
+    console.log(`\n${colorizePatch(patch)}`);
+    while (true) {
+      const answer = (await ask(chalk.blue.bold(`${VERBS[log.action] || log.action} ${getTargetName(log)} at ${filePath}:${log.line} [y,n,a,q,?]? `)))
+        .trim()
+        .toLowerCase();
+      switch (answer) {
+        case 'y':
+          return true;
+        case 'n':
+          return false;
+        case 'a':
+          acceptedFiles.add(filePath);
+          return true;
+        case 'q':
+          quit = true;
+          return false;
+        default:
+          console.log(chalk.red(HELP.join('\n')));
+      }
+    }
+  }
+
+  approve.close = () => rl.close();
+  return approve;
+}
+
+module.exports = { askQuestion, createApprover };
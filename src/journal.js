@@ -0,0 +1,215 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const { writeFileAtomic } = require('./files');
+
+// Directory (relative to cwd) holding the snapshots of every run.
+const JOURNAL_DIR = '.log-purge';
+
+/**
+ * Error raised for unknown runs or a journal with nothing to restore.
+ */
+class JournalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JournalError';
+  }
+}
+
+/**
+ * Returns the SHA-256 hex digest of a file's content.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Builds a sortable, unique run ID such as "20250805-142301-a1b2".
+ */
+function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function getRunsDir(cwd) {
+  return path.join(cwd, JOURNAL_DIR, 'runs');
+}
+
+function getManifestPath(cwd, runId) {
+  return path.join(getRunsDir(cwd), runId, 'manifest.json');
+}
+
+/**
+ * Starts a journal for a run. Before a file is rewritten, `record()` stores its
+ * original content and the hashes needed to restore it safely later. Files the
+ * run creates are recorded with `originalContent` null and deleted on restore.
+ * A file written more than once (watch mode) gets a snapshot for every write.
+ */
+async function createJournal({ mode, cwd = process.cwd() } = {}) {
+  const id = createRunId();
+  const runDir = path.join(getRunsDir(cwd), id);
+  const manifest = {
+    id,
+    createdAt: new Date().toISOString(),
+    mode,
+    cwd,
+    status: 'in-progress',
+    files: [],
+  };
+  let saving = Promise.resolve();
+
+  // Writes are chained so concurrent records never interleave manifest updates.
+  const save = () => {
+    saving = saving.then(() => fs.writeFile(path.join(runDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8'));
+    return saving;
+  };
+
+  await fs.mkdir(path.join(runDir, 'files'), { recursive: true });
+  // Keeps the journal out of `git status` and out of commits
+  await fs.writeFile(path.join(cwd, JOURNAL_DIR, '.gitignore'), '*\n', 'utf8');
+  await save();
+
+  return {
+    id,
+
+    async record(filePath, originalContent, newContent) {
+      const index = manifest.files.length;
+      const backup = originalContent === null ? null : `files/${index}.orig`;
+      manifest.files.push({
+        path: path.resolve(cwd, filePath),
+        backup,
+        originalHash: originalContent === null ? null : hashContent(originalContent),
+        newHash: hashContent(newContent),
+      });
+      if (backup) {
+        await fs.writeFile(path.join(runDir, backup), originalContent, 'utf8');
+      }
+      await save();
+    },
+
+    async finish() {
+      if (manifest.files.length === 0) {
+        await saving;
+        await fs.rm(runDir, { recursive: true, force: true });
+        return null;
+      }
+      manifest.status = 'completed';
+      manifest.completedAt = new Date().toISOString();
+      await save();
+      return manifest;
+    },
+  };
+}
+
+/**
+ * Reads a run's manifest, throwing a readable error for unknown run IDs.
+ */
+async function readManifest(cwd, runId) {
+  try {
+    return JSON.parse(await fs.readFile(getManifestPath(cwd, runId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new JournalError(`No run with ID "${runId}" found in ${path.join(cwd, JOURNAL_DIR)}.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists the journaled runs, newest first.
+ */
+async function listRuns({ cwd = process.cwd() } = {}) {
+  let ids;
+  try {
+    ids = await fs.readdir(getRunsDir(cwd));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const manifests = await Promise.all(ids.map(id => readManifest(cwd, id).catch(() => null)));
+  return manifests
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Rolls back a run by writing each file's original content back. Files edited
+ * since the run are refused unless `force` is set. The snapshots of a file
+ * written more than once are undone newest first; edits saved between two of
+ * its writes are kept, so it is only rolled back as far as its last write.
+ *
+ * @param {string} [runId] Run to restore; defaults to the latest run not yet restored.
+ * @returns {Promise<{ run: object, files: Array<{ path: string, status: string, reason?: string }> }>}
+ */
+async function restoreRun(runId, { force = false, cwd = process.cwd() } = {}) {
+  let manifest;
+  if (runId) {
+    manifest = await readManifest(cwd, runId);
+  } else {
+    manifest = (await listRuns({ cwd })).find(run => !run.restoredAt);
+    if (!manifest) {
+      throw new JournalError('There is no run left to restore.');
+    }
+  }
+
+  const runDir = path.join(getRunsDir(cwd), manifest.id);
+  // One result per file, in the order the files were first written
+  const results = new Map(manifest.files.map(entry => [entry.path, null]));
+  for (const entry of [...manifest.files].reverse()) {
+    const later = results.get(entry.path);
+    if (later && (later.status === 'skipped' || later.status === 'partial')) continue;
+
+    let current = null;
+    try {
+      current = await fs.readFile(entry.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (current === null ? entry.backup === null : hashContent(current) === entry.originalHash) {
+      if (!later) results.set(entry.path, { path: entry.path, status: 'unchanged' });
+      continue;
+    }
+    if (!force) {
+      if (current === null) {
+        results.set(entry.path, { path: entry.path, status: 'skipped', reason: 'file was deleted since the run' });
+        continue;
+      }
+      if (hashContent(current) !== entry.newHash) {
+        // After a newer snapshot was undone, anything older would throw away edits saved in between
+        results.set(entry.path, later
+          ? { ...later, status: 'partial', reason: 'edits saved between its purges were kept' }
+          : { path: entry.path, status: 'skipped', reason: 'file was edited since the run' });
+        continue;
+      }
+    }
+
+    if (entry.backup === null) {
+      // The run created this file, so restoring removes it
+      await fs.rm(entry.path, { force: true });
+    } else {
+      const original = await fs.readFile(path.join(runDir, entry.backup), 'utf8');
+      await fs.mkdir(path.dirname(entry.path), { recursive: true });
+      await writeFileAtomic(entry.path, original);
+    }
+    results.set(entry.path, { path: entry.path, status: 'restored' });
+  }
+  const files = [...results.values()];
+
+  if (files.every(file => file.status !== 'skipped')) {
+    manifest.restoredAt = new Date().toISOString();
+    await fs.writeFile(getManifestPath(cwd, manifest.id), JSON.stringify(manifest, null, 2), 'utf8');
+  }
+
+  return { run: manifest, files };
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  JournalError,
+  hashContent,
+  createJournal,
+  listRuns,
+  restoreRun,
+};
@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { PLUGIN_NAME, createPurgePlugin } = require('./shared');
+
+// esbuild loaders for the extensions it can read natively.
+const LOADERS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.jsx': 'jsx',
+  '.ts': 'ts',
+  '.mts': 'ts',
+  '.cts': 'ts',
+  '.tsx': 'tsx',
+};
+
+// Loaders whose files are parsed and purged; other loaders ('text', 'file', ...) are left alone.
+const SCRIPT_LOADERS = ['js', 'jsx', 'ts', 'tsx'];
+
+/**
+ * Appends a map as an inline sourceMappingURL comment, which esbuild chains
+ * into the bundle's source map.
+ */
+function inlineSourceMap(code, map) {
+  const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+  return `${code}\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encoded}\n`;
+}
+
+/**
+ * esbuild plugin that strips console calls from the bundle without touching
+ * the source files. Only JavaScript and TypeScript files are handled, since
+ * esbuild cannot load Vue, Svelte or Astro files on its own.
+ *
+ * @param {object} [pluginOptions] Same options as a config file.
+ */
+function logPurge(pluginOptions = {}) {
+  const purge = createPurgePlugin(pluginOptions, 'logPurge() options');
+
+  return {
+    name: PLUGIN_NAME,
+
+    setup(build) {
+      // A loader the build configures for an extension (e.g. '.js': 'jsx') wins over the default one
+      const configured = build.initialOptions.loader || {};
+      build.onLoad({ filter: /\.[cm]?[jt]sx?$/, namespace: 'file' }, async args => {
+        const ext = path.extname(args.path).toLowerCase();
+        const loader = configured[ext] || LOADERS[ext];
+        if (!SCRIPT_LOADERS.includes(loader) || !purge.filter(args.path)) return undefined;
+
+        let code;
+        try {
+          code = await fs.readFile(args.path, 'utf8');
+        } catch (error) {
+          // Left for esbuild to load and report
+          return undefined;
+        }
+        try {
+          const result = await purge.transform(code, args.path);
+          if (!result) return { contents: code, loader };
+          return { contents: inlineSourceMap(result.code, result.map), loader };
+        } catch (error) {
+          // Code the parser does not understand is left for esbuild to report
+          return { contents: code, loader, warnings: [{ text: `Skipped ${args.path}: ${error.message}` }] };
+        }
+      });
+    },
+  };
+}
+
+module.exports = logPurge;
@@ -0,0 +1,28 @@
+const { PLUGIN_NAME, createPurgePlugin } = require('./shared');
+
+/**
+ * Rollup plugin that strips console calls from the bundle without touching
+ * the source files. Works in Vite as well; see ./vite.js.
+ *
+ * @param {object} [pluginOptions] Same options as a config file.
+ */
+function logPurge(pluginOptions = {}) {
+  const purge = createPurgePlugin(pluginOptions, 'logPurge() options');
+
+  return {
+    name: PLUGIN_NAME,
+
+    async transform(code, id) {
+      try {
+        const result = await purge.transform(code, id);
+        return result && { code: result.code, map: result.map };
+      } catch (error) {
+        // Code the parser does not understand is left for the bundler to report
+        this.warn(`Skipped ${id}: ${error.message}`);
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = logPurge;
@@ -0,0 +1,60 @@
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+const { purgeSource } = require('../processor');
+const { DEFAULT_OPTIONS, validateOptions, normalizeOptions } = require('../config');
+
+// Name the plugins report under in bundler warnings and errors.
+const PLUGIN_NAME = 'log-purge';
+
+/**
+ * Removes the query and hash bundlers append to module IDs
+ * (e.g. "App.vue?vue&type=script").
+ */
+function cleanId(id) {
+  return id.replace(/[?#].*$/, '');
+}
+
+/**
+ * Validates the options of a bundler plugin like config options and returns
+ * the module filter and the transform all plugins share. Dependencies in
+ * node_modules are left alone unless `defaultIgnore` is false.
+ *
+ * @param {object} [pluginOptions] Same options as a config file.
+ * @param {string} source Name of the plugin, used in error messages.
+ * @returns {{ options: object, filter: (id: string) => boolean, transform: (code: string, id: string) => Promise<object|null> }}
+ */
+function createPurgePlugin(pluginOptions = {}, source) {
+  validateOptions(pluginOptions, source);
+  const options = normalizeOptions({ ...DEFAULT_OPTIONS, ...pluginOptions });
+  const extensions = options.extensions.split(',').map(ext => `.${ext.trim().replace(/^\./, '')}`);
+  const globs = [...(options.defaultIgnore ? ['**/node_modules/**'] : []), ...(options.ignore || [])];
+  const matchers = globs.map(pattern => new Minimatch(pattern.replace(/^\.\//, ''), { dot: true }));
+
+  const filter = id => {
+    // Virtual modules ("\0...") and sub-requests with a query are not files on disk
+    if (!id || id.startsWith('\0') || cleanId(id) !== id) return false;
+    if (!extensions.includes(path.extname(id).toLowerCase())) return false;
+    const relative = path.relative(process.cwd(), id).split(path.sep).join('/');
+    const absolute = id.split(path.sep).join('/');
+    return !matchers.some(matcher => matcher.match(relative) || matcher.match(absolute));
+  };
+
+  /**
+   * Purges one module. Resolves with `{ code, map, changes }`, or null when
+   * the module is filtered out or has nothing to purge.
+   */
+  const transform = async (code, id) => {
+    if (!filter(id)) return null;
+    const result = await purgeSource(code, { ...pluginOptions, filename: id });
+    return result.changes > 0 ? result : null;
+  };
+
+  return { options, filter, transform };
+}
+
+module.exports = {
+  PLUGIN_NAME,
+  cleanId,
+  createPurgePlugin,
+};
@@ -0,0 +1,13 @@
+const rollupPlugin = require('./rollup');
+
+/**
+ * Vite plugin. Runs before Vite's own plugins so Vue, Svelte and Astro files
+ * are purged in their original form.
+ *
+ * @param {object} [pluginOptions] Same options as a config file.
+ */
+function logPurge(pluginOptions = {}) {
+  return { ...rollupPlugin(pluginOptions), enforce: 'pre' };
+}
+
+module.exports = logPurge;
@@ -0,0 +1,48 @@
+const { chainSourceMaps } = require('../sourcemap');
+const { PLUGIN_NAME, createPurgePlugin } = require('./shared');
+
+// Plugins are cached per options object, so the options are validated once per build.
+const cache = new WeakMap();
+
+/**
+ * Returns the purge plugin for a loader's options.
+ */
+function getPlugin(loaderOptions) {
+  if (!cache.has(loaderOptions)) {
+    cache.set(loaderOptions, createPurgePlugin(loaderOptions, 'log-purge loader options'));
+  }
+  return cache.get(loaderOptions);
+}
+
+/**
+ * webpack loader that strips console calls from the bundle without touching
+ * the source files. The map of a previous loader is chained, so positions
+ * still resolve to the original source.
+ */
+function logPurgeLoader(source, inputMap, meta) {
+  const callback = this.async();
+  let plugin;
+  try {
+    plugin = getPlugin(this.getOptions() || {});
+  } catch (error) {
+    callback(error);
+    return;
+  }
+
+  plugin.transform(source, this.resourcePath).then(result => {
+    if (!result) {
+      callback(null, source, inputMap, meta);
+      return;
+    }
+    const map = this.sourceMap
+      ? chainSourceMaps({ ...result.map, sources: [this.resourcePath] }, inputMap)
+      : null;
+    callback(null, result.code, map, meta);
+  }, error => {
+    // Code the parser does not understand is left for webpack to report
+    this.emitWarning(new Error(`${PLUGIN_NAME}: skipped ${this.resourcePath}: ${error.message}`));
+    callback(null, source, inputMap, meta);
+  });
+}
+
+module.exports = logPurgeLoader;
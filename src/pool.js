@@ -0,0 +1,94 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Files processed at once when --concurrency is not given; keeps open handles well below EMFILE limits.
+const DEFAULT_CONCURRENCY = 16;
+
+/**
+ * Runs `fn` over every item with at most `limit` calls in flight at a time.
+ */
+async function runWithConcurrency(items, limit, fn) {
+  let index = 0;
+  const next = async () => {
+    while (index < items.length) {
+      const item = items[index++];
+      await fn(item);
+    }
+  };
+  const lanes = Math.max(1, Math.min(limit || DEFAULT_CONCURRENCY, items.length));
+  await Promise.all(Array.from({ length: lanes }, next));
+}
+
+/**
+ * Returns the default number of worker threads: one per CPU core, leaving one
+ * for the main thread.
+ */
+function getDefaultWorkerCount() {
+  return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Starts a pool of worker threads that run the CPU-bound source transform off
+ * the main thread. Tasks are queued until a worker is free.
+ *
+ * @param {number} [size] Number of worker threads.
+ * @returns {{ run: (task: object) => Promise<object>, close: () => Promise<void> }}
+ */
+function createWorkerPool(size = getDefaultWorkerCount()) {
+  const queue = [];
+  const idle = [];
+  const workers = [];
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      worker.job = job;
+      worker.postMessage(job.task);
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(path.join(__dirname, 'worker.js'));
+    worker.on('message', ({ result, error }) => {
+      const { job } = worker;
+      worker.job = null;
+      idle.push(worker);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+      dispatch();
+    });
+    worker.on('error', error => {
+      if (worker.job) worker.job.reject(error);
+      worker.job = null;
+      workers.splice(workers.indexOf(worker), 1);
+      // Without any worker left, queued tasks would wait forever.
+      if (workers.length === 0) {
+        queue.splice(0).forEach(job => job.reject(error));
+      }
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async close() {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  runWithConcurrency,
+  getDefaultWorkerCount,
+  createWorkerPool,
+};
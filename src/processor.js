@@ -1,85 +1,705 @@
 const fs = require('fs/promises');
 const path = require('path');
-const { glob } = require('glob');
 const ora = require('ora');
 const chalk = require('chalk');
 const gradient = require('gradient-string');
 const cliProgress = require('cli-progress');
 const boxen = require('boxen');
-const readline = require('readline');
+const MagicString = require('magic-string');
 
-// A more robust regex to find console statements, including multiline ones.
-const CONSOLE_REGEX = /(?:console|window\.console)\.(log|info|warn|error|debug|assert|dir|table)\((?:[^;]*)\);?/gm;
+const { findConsoleUsage, parseSource, matchesTarget, skipTrivia, CONSOLE_METHODS } = require('./detector');
+const { getImportEdit } = require('./imports');
+const { prepareSources } = require('./handlers');
+const { createJournal, JOURNAL_DIR } = require('./journal');
+const { createFilePatch, colorizePatch } = require('./diff');
+const { askQuestion, createApprover } = require('./interactive');
+const { runWithConcurrency, createWorkerPool } = require('./pool');
+const { getPartiallyStagedFiles, stageFiles, readStagedFile } = require('./git');
+const { discoverFiles } = require('./discovery');
+const { findSourceMappingUrl, readInputSourceMap, chainSourceMaps, toDataUrl } = require('./sourcemap');
+const { detectEol, toEol, decodeText, encodeText, writeFileAtomic } = require('./files');
+const { buildReport, getSafetyWarnings, describeFinding } = require('./report');
+const { writeReport } = require('./formatters');
+const { CONSOLE_FORMATS, DEFAULT_OPTIONS, validateOptions, normalizeOptions } = require('./config');
+
+// Console methods that "replace" mode rewrites to the configured logger by default.
+const REPLACEABLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Replace-map target that deletes the call instead of rewriting it.
+const DROP_TARGET = 'drop';
 
 /**
  * Prompts the user for confirmation.
  */
-function askForConfirmation(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
+async function askForConfirmation(question) {
+  const answer = await askQuestion(question);
+  return answer.toLowerCase() === 'y';
+}
+
+/**
+ * Turns a console statement into a comment. Line comments are used when the
+ * statement ends its line, a block comment when code follows it.
+ */
+function commentOut(code, start, end) {
+  const text = code.slice(start, end);
+  const lineEnd = code.indexOf('\n', end);
+  const rest = code.slice(end, lineEnd === -1 ? code.length : lineEnd).trim();
+  if (rest && !rest.startsWith('//')) {
+    // A `*/` in the statement would end the comment early
+    return `/* ${text.replace(/\*\//g, '* /')} */`;
+  }
+  return text
+    .split('\n')
+    .map((line, index) => (index === 0 ? `// ${line}` : line.replace(/^(\s*)/, '$1// ')))
+    .join('\n');
+}
+
+/**
+ * Resolves which console methods are processed: the `methods` allow list (or
+ * the mode's defaults) minus anything in the `keep` list.
+ */
+function resolveMethods(options) {
+  let defaults = CONSOLE_METHODS;
+  if (options.mode === 'replace') {
+    const mapped = Object.keys(options.replaceMap || {});
+    defaults = options.replaceWith ? [...new Set([...REPLACEABLE_METHODS, ...mapped])] : mapped;
+  }
+  const allowed = options.methods && options.methods.length > 0 ? options.methods : defaults;
+  const keep = options.keep || [];
+  return allowed.filter(method => !keep.includes(method)
+    && (options.mode !== 'replace' || getReplaceTarget(method, options)));
+}
+
+/**
+ * Returns what "replace" mode turns a call into: a callee such as
+ * "logger.debug", DROP_TARGET, or null when nothing is configured for it.
+ * The `replaceWith` of the call's target comes first, then the replace map
+ * entry of its console method.
+ */
+function getReplaceTarget(method, options, targetOptions = {}) {
+  const target = targetOptions.replaceWith
+    || (method && options.replaceMap && options.replaceMap[method])
+    || options.replaceWith;
+  // "logger.info(" and "logger.info" are both accepted.
+  return target ? target.trim().replace(/\(\s*$/, '') : null;
+}
+
+/**
+ * Returns the `targets` entry that configures a call: the one it matched, or
+ * for a console call the first one matching its method (e.g. "console.*").
+ */
+function getTargetOptions(call, options) {
+  const targets = options.targets || [];
+  const calleePath = call.target.split('.');
+  return targets.find(target => (call.method === null ? target.pattern === call.target : matchesTarget(target.pattern, calleePath))) || {};
+}
+
+/**
+ * Resolves the logger import to inject in "replace" mode. The binding name
+ * defaults to the root identifier of the replacement targets (e.g. "logger"
+ * for "logger.debug").
+ */
+function getLoggerImport(options) {
+  if (!options.loggerImport) return null;
+  const loggerImport = typeof options.loggerImport === 'string'
+    ? { source: options.loggerImport }
+    : { ...options.loggerImport };
+  if (!loggerImport.name) {
+    const targets = getReplacementTargets(options);
+    const root = targets.length > 0 ? getRootName(targets[0]) : null;
+    if (!root) return null;
+    loggerImport.name = root;
+  }
+  return loggerImport;
+}
+
+/**
+ * Lists the callees "replace" mode may put in place of a call.
+ */
+function getReplacementTargets(options) {
+  return [options.replaceWith, ...Object.values(options.replaceMap || {}), ...(options.targets || []).map(target => target.replaceWith)]
+    .filter(target => target && target !== DROP_TARGET);
+}
+
+/**
+ * Returns the identifier a replacement target starts with ("logger" for
+ * "logger.debug"), or null for `this.$log.info` and the like.
+ */
+function getRootName(target) {
+  const match = /^[A-Za-z_$][\w$]*/.exec(target.trim());
+  return match && match[0] !== 'this' ? match[0] : null;
+}
+
+/**
+ * Lists the root names of every replacement target the options configure,
+ * which must not be shadowed where a call is replaced.
+ */
+function getReplacementRoots(options) {
+  if (options.mode !== 'replace' && !(options.targets || []).some(target => target.mode === 'replace')) return [];
+  const targets = getReplacementTargets(options);
+  return [...new Set(targets.map(getRootName).filter(Boolean))];
+}
+
+// Starts of a statement that would parse as a block, declaration or pattern instead of an expression.
+const STATEMENT_AMBIGUOUS_START = /^(?:\{|function\b|class\b|let\s*\[|async\s+function\b)/;
+
+// Starts of a statement that could continue the previous line when it has no semicolon.
+const ASI_HAZARD_START = /^[([`+\-/]/;
+
+/**
+ * Shortens code for a one-line message.
+ */
+function abbreviate(code, max = 40) {
+  const line = code.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+}
+
+/**
+ * Turns an expression into a statement at `start` that parses as that
+ * expression, guarding it with a semicolon when the code before might run on
+ * into it.
+ */
+function toStatement(expression, code, start) {
+  const text = STATEMENT_AMBIGUOUS_START.test(expression) ? `(${expression})` : expression;
+  const guarded = mayRunOn(code, start) && ASI_HAZARD_START.test(text);
+  return `${guarded ? ';' : ''}${text};`;
+}
+
+/**
+ * Checks whether the code before `start` has no terminator, so a statement
+ * starting there could be read as its continuation.
+ */
+function mayRunOn(code, start) {
+  let i = start - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  return i >= 0 && !';{}'.includes(code[i]);
+}
+
+/**
+ * Returns where a `;` has to go when taking out the statement from `start` to
+ * `end` would let the code before it run on into the next one
+ * (`a()\nconsole.log(x)\n;[1, 2].forEach(f)`), or -1.
+ */
+function findSemicolonGuard(code, start, end) {
+  const next = skipTrivia(code, end);
+  return next < code.length && ASI_HAZARD_START.test(code[next]) && mayRunOn(code, start) ? next : -1;
+}
+
+/**
+ * Widens a statement edit up to `guard` and ends it with the `;` that keeps
+ * the next statement apart, keeping any comments in between.
+ */
+function withSemicolonGuard(code, edit, guard) {
+  if (guard === -1) return edit;
+  const between = code.slice(edit.end, guard);
+  return { start: edit.start, end: guard, text: `${edit.text}${edit.text ? between : between.trimStart()};` };
+}
+
+/**
+ * Returns the "unsafe" decision for a call that cannot be taken out without
+ * changing what the code does, or null. Console calls return undefined, so
+ * one used as a value can become `void 0`; a custom target (`debug('app')`)
+ * may return anything, so only its statements are rewritten.
+ */
+function getUnsafeDecision(call) {
+  if (call.usage === 'dereferenced') {
+    return { decision: 'unsafe', detail: 'its return value is used; not rewritten' };
+  }
+  if (call.method === null && call.usage !== 'statement') {
+    return { decision: 'unsafe', detail: 'used as a value and may not return undefined; not rewritten' };
+  }
+  return null;
+}
+
+/**
+ * Builds the edit that takes a console call out ("remove" mode and the "drop"
+ * target of "replace" mode), with the safety decision made for it:
+ *
+ * - a console call used as a value becomes `void 0`;
+ * - arguments that may have side effects are kept with `keepSideEffects`
+ *   (`console.log(save())` becomes `save();`) and reported as dropped otherwise;
+ * - a call whose return value is read from, called or iterated, and a
+ *   custom target used as a value, are not rewritten at all (`edit` is null).
+ *
+ * @returns {{ edit: object|null, safety: { decision: string, detail: string }|null }}
+ */
+function getRemovalEdit(code, call, options) {
+  const unsafe = getUnsafeDecision(call);
+  if (unsafe) return { edit: null, safety: unsafe };
+  const effects = call.args
+    .filter(arg => !arg.pure)
+    .map(arg => (arg.spread ? `[...${code.slice(arg.start, arg.end)}]` : code.slice(arg.start, arg.end)));
+  const kept = options.keepSideEffects ? effects : [];
+  const details = [];
+  if (effects.length > 0) {
+    details.push(`${kept.length > 0 ? 'kept' : 'dropped'} ${effects.map(effect => abbreviate(effect)).join(', ')}`);
+  }
+
+  let edit;
+  if (call.statement) {
+    const { start, end, isBody } = call.statement;
+    // A lone `if`/loop body must stay a statement, so it becomes an empty one.
+    const text = kept.length > 0 ? toStatement(kept.join(', '), code, start) : isBody ? ';' : '';
+    edit = text ? { start, end, text } : withSemicolonGuard(code, { start, end, text }, findSemicolonGuard(code, start, end));
+  } else {
+    const value = kept.length > 0 ? `(${[...kept, 'void 0'].join(', ')})` : call.needsParentheses ? '(void 0)' : 'void 0';
+    edit = { start: call.start, end: call.end, text: value };
+    details.push('used as a value; replaced with void 0');
+  }
+  if (details.length === 0) return { edit, safety: null };
+  const decision = effects.length === 0 ? 'void' : kept.length > 0 ? 'kept-side-effects' : 'dropped-side-effects';
+  return { edit, safety: { decision, detail: details.join('; ') } };
+}
+
+/**
+ * Builds the edit that comments out a console call. A console call used as a value
+ * keeps a `void 0` in its place so the surrounding expression stays valid.
+ *
+ * @returns {{ edit: object|null, safety: { decision: string, detail: string }|null }}
+ */
+function getCommentEdit(code, call) {
+  const unsafe = getUnsafeDecision(call);
+  if (unsafe) return { edit: null, safety: unsafe };
+  const target = call.statement || call;
+  const content = code.slice(target.start, target.end);
+  if (!call.statement) {
+    const value = `/* ${content.replace(/\*\//g, '* /')} */ void 0`;
+    return {
+      edit: { start: call.start, end: call.end, text: call.needsParentheses ? `(${value})` : value },
+      safety: { decision: 'void', detail: 'used as a value; replaced with void 0' },
+    };
+  }
+  if (call.statement.isBody) {
+    return { edit: { start: target.start, end: target.end, text: `/* ${content.replace(/\*\//g, '* /')} */;` }, safety: null };
+  }
+  const edit = { start: target.start, end: target.end, text: commentOut(code, target.start, target.end) };
+  return { edit: withSemicolonGuard(code, edit, findSemicolonGuard(code, target.start, target.end)), safety: null };
+}
+
+/**
+ * Builds the edits that take a declaration's removed declarators out along
+ * with their commas: a run of them goes up to the next kept declarator, or
+ * from the previous kept one when it runs to the end.
+ */
+function getDeclaratorRemovals(declaration, removed) {
+  const { declarators } = declaration;
+  const edits = [];
+  for (let i = 0; i < declarators.length; i++) {
+    if (!removed.has(i)) continue;
+    let last = i;
+    while (removed.has(last + 1)) last++;
+    edits.push(last + 1 < declarators.length
+      ? { start: declarators[i].start, end: declarators[last + 1].start, text: '' }
+      : { start: declarators[i - 1].end, end: declarators[last].end, text: '' });
+    i = last;
+  }
+  return edits;
+}
+
+/**
+ * Builds the edits that take out alias declarations (`const log =
+ * console.log`) left unused once the calls through them are gone, each with
+ * the log entries of its aliases. An alias goes when every call through it
+ * was rewritten and every alias built on it goes too; a destructuring goes
+ * when all of its aliases do. "comment" mode only comments out declarations
+ * of a single declarator.
+ *
+ * @returns {Array<{ edit: object, logs: Array }>}
+ */
+function getAliasEdits(code, aliases, edited, options) {
+  const removable = new Map();
+  const isRemovable = alias => {
+    if (!removable.has(alias)) {
+      const { declaration } = alias;
+      removable.set(alias, !alias.escaped && !alias.disabled && alias.complete
+        && declaration.removable
+        && (options.mode !== 'comment' || declaration.declarators.length === 1)
+        && (!options.lineRanges || isInLineRanges(declaration, options.lineRanges))
+        && alias.calls.every(call => edited.has(call))
+        && alias.dependents.every(isRemovable));
+    }
+    return removable.get(alias);
+  };
+
+  const declarations = new Map();
+  aliases.forEach(alias => {
+    if (!declarations.has(alias.declaration)) declarations.set(alias.declaration, new Map());
+    const declarators = declarations.get(alias.declaration);
+    declarators.set(alias.index, [...(declarators.get(alias.index) || []), alias]);
+  });
+
+  const result = [];
+  declarations.forEach((declarators, declaration) => {
+    const removed = new Map([...declarators].filter(([, group]) => group.every(isRemovable)));
+    if (removed.size === 0) return;
+    const { start, end } = declaration;
+    const content = code.slice(start, end).trim();
+    const action = options.mode === 'comment' ? 'commented' : 'removed';
+    const logs = [...removed.values()].flat().map(alias => ({
+      type: alias.method || '*',
+      target: alias.method ? `console.${alias.method}` : 'console',
+      line: alias.line,
+      column: alias.column + 1,
+      content,
+      action,
+      alias: alias.name,
+    }));
+    if (options.mode === 'comment') {
+      result.push({ edit: { start, end, text: commentOut(code, start, end) }, logs });
+    } else if (removed.size === declaration.declarators.length) {
+      result.push({ edit: { start, end, text: '' }, logs });
+    } else {
+      getDeclaratorRemovals(declaration, new Set(removed.keys())).forEach((edit, index) => {
+        result.push({ edit, logs: index === 0 ? logs : [] });
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * Widens a range to cover its whole line(s) when nothing else is on them, so
+ * deleting it leaves no blank line behind.
+ */
+function expandToLines(code, start, end) {
+  const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+  const newline = code.indexOf('\n', end);
+  const lineEnd = newline === -1 ? code.length : newline + 1;
+  if (code.slice(lineStart, start).trim() || code.slice(end, lineEnd).trim()) {
+    return { start, end };
+  }
+  return { start: lineStart, end: lineEnd };
+}
+
+/**
+ * Applies non-overlapping { start, end, text } edits to a MagicString.
+ */
+function applyEdits(output, edits) {
+  edits.forEach(edit => {
+    if (edit.start === edit.end) output.appendLeft(edit.start, edit.text);
+    else if (edit.text) output.overwrite(edit.start, edit.end, edit.text);
+    else output.remove(edit.start, edit.end);
+  });
+  return output;
+}
+
+/**
+ * Widens removals that leave their line(s) empty to the whole lines, so no
+ * blank line is left behind. Removals on one line (`console.log(a); console.log(b);`)
+ * are widened together when nothing but whitespace is between them; every
+ * other line, blank or not, is kept as it was.
+ */
+function collapseEmptiedLines(code, edits) {
+  const removals = edits.filter(edit => edit.text === '' && edit.start < edit.end).sort((a, b) => a.start - b.start);
+  const collapsed = edits.filter(edit => !removals.includes(edit));
+  let group = [];
+  const flush = () => {
+    if (group.length === 0) return;
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    const range = expandToLines(code, start, end);
+    if (range.start < start || range.end > end) {
+      collapsed.push({ ...range, text: '' });
+    } else if (/^[^\S\r\n]*(?:\r?\n|$)/.test(code.slice(end))) {
+      // Code stays on the line, but nothing follows the removal: drop the whitespace before it too
+      const before = /[^\S\r\n]*$/.exec(code.slice(0, start))[0].length;
+      collapsed.push({ ...group[0], start: start - before }, ...group.slice(1));
+    } else {
+      collapsed.push(...group);
+    }
+    group = [];
+  };
+  removals.forEach(edit => {
+    const last = group[group.length - 1];
+    if (last && !/^[^\S\r\n]*$/.test(code.slice(last.end, edit.start))) flush();
+    group.push(edit);
+  });
+  flush();
+  return collapsed;
+}
+
+/**
+ * Produces the new file content from the collected edits, as a MagicString
+ * that can also generate the source map of the change.
+ */
+function rewrite(code, edits) {
+  return applyEdits(new MagicString(code), collapseEmptiedLines(code, edits));
+}
+
+/**
+ * Checks whether a call spans any of the given 1-based, inclusive line ranges.
+ */
+function isInLineRanges(call, ranges) {
+  return ranges.some(([start, end]) => call.line <= end && call.endLine >= start);
+}
+
+/**
+ * Runs detection and the mode's rewrite over one file's content without
+ * touching disk. Safe to call from a worker thread (without `approve`).
+ *
+ * @returns {Promise<{ content: string, changes: number, detectedLogs: Array, importAdded: boolean, map: object|null }>}
+ */
+async function transformCode(originalContent, filePath, options) {
+  const detectedLogs = [];
+  const edits = [];
+
+  // Vue, Svelte, Astro and HTML files are parsed through their script blocks only, one at a time
+  const targets = (options.targets || []).map(target => target.pattern);
+  const names = getReplacementRoots(options);
+  const calls = [];
+  const aliases = [];
+  const unresolved = [];
+  // The AST each call was found in, for the logger import
+  const callAsts = new Map();
+  prepareSources(originalContent, filePath).forEach(source => {
+    const ast = parseSource(source.code, source.filename);
+    const usage = findConsoleUsage(source.code, { filename: source.filename, targets, names, ast });
+    usage.calls.forEach(call => callAsts.set(call, ast));
+    calls.push(...usage.calls);
+    aliases.push(...usage.aliases);
+    unresolved.push(...usage.unresolved);
   });
-  return new Promise(resolve => {
-    rl.question(question, answer => {
-      rl.close();
-      resolve(answer.toLowerCase() === 'y');
+  let importAst = null;
+  const edited = new Set();
+  // End of the last removed/commented call; calls inside it go away with it.
+  let processedEnd = -1;
+
+  for (const call of calls) {
+    // With --only-changed-lines, calls outside the changed hunks are left alone and not reported
+    if (options.lineRanges && !isInLineRanges(call, options.lineRanges)) continue;
+    const target = call.statement || call;
+    const content = originalContent.slice(target.start, target.end);
+    const nested = call.start < processedEnd;
+    const log = { type: call.method || call.target, target: call.target, line: call.line, column: call.column + 1, content: content.trim() };
+    // Each target may have a mode of its own
+    const targetOptions = getTargetOptions(call, options);
+    const mode = targetOptions.mode || options.mode;
+    const replaceTarget = mode === 'replace' ? getReplaceTarget(call.method, options, targetOptions) : null;
+    // A target with a mode of its own selects its console methods whatever the run's mode would
+    const selected = (call.method === null || resolveMethods(targetOptions.mode ? { ...options, mode: 'remove' } : options).includes(call.method))
+      && (mode !== 'replace' || Boolean(replaceTarget));
+    let edit = null;
+    let safety = null;
+
+    if (call.disabled || !selected) {
+      if (!nested) {
+        detectedLogs.push({ ...log, action: 'kept', reason: call.disabled ? 'directive' : 'method' });
+      }
+    } else if (mode === 'remove' && !nested) {
+      ({ edit, safety } = getRemovalEdit(originalContent, call, options));
+      log.action = 'removed';
+    } else if (mode === 'comment' && !nested) {
+      ({ edit, safety } = getCommentEdit(originalContent, call));
+      log.action = 'commented';
+    } else if (mode === 'replace' && !nested) {
+      if (replaceTarget === DROP_TARGET) {
+        ({ edit, safety } = getRemovalEdit(originalContent, call, options));
+        log.action = 'dropped';
+      } else if (call.method === null && getUnsafeDecision(call)) {
+        // A logger call does not return what the custom target did
+        safety = getUnsafeDecision(call);
+        log.action = 'replaced';
+      } else if (call.shadowed.includes(getRootName(replaceTarget))) {
+        // `function f(logger) { console.log(1) }` would call the parameter
+        safety = { decision: 'unsafe', detail: `${getRootName(replaceTarget)} is a different variable here; not replaced` };
+        log.action = 'replaced';
+      } else if (call.argumentsStart !== null) {
+        // `console.log.apply(console, args)` becomes `logger.info(...args)`
+        edit = { start: call.calleeStart, end: call.argumentsStart, text: `${replaceTarget}(${call.spreadArguments ? '...' : ''}` };
+        log.action = 'replaced';
+        log.replacedWith = replaceTarget;
+      }
+    }
+
+    if (safety) log.safety = safety;
+    if (safety && safety.decision === 'unsafe') {
+      // Left in place but still reported, so it can be fixed by hand
+      detectedLogs.push({ ...log, action: 'flagged' });
+      continue;
+    }
+    if (!edit) continue;
+    if (options.approve) {
+      const preview = rewrite(originalContent, [edit]).toString();
+      const patch = createFilePatch(filePath, originalContent, preview, { context: 2 });
+      if (!(await options.approve({ filePath, log, patch }))) {
+        detectedLogs.push({ ...log, action: 'kept', reason: 'declined' });
+        continue;
+      }
+    }
+    edits.push(edit);
+    edited.add(call);
+    detectedLogs.push(log);
+    // The logger is imported into the script block of the first replaced call
+    if (log.action === 'replaced' && !importAst) importAst = callAsts.get(call);
+    if (log.action !== 'replaced') {
+      processedEnd = target.end;
+    }
+  }
+
+  // Usage that cannot be followed is never rewritten, only reported
+  unresolved.forEach(usage => {
+    if (options.lineRanges && !isInLineRanges(usage, options.lineRanges)) return;
+    detectedLogs.push({
+      type: usage.method || '*',
+      target: usage.method ? `console.${usage.method}` : 'console',
+      line: usage.line,
+      column: usage.column + 1,
+      content: originalContent.slice(usage.start, usage.end).trim(),
+      action: 'flagged',
+      safety: { decision: 'unresolved', detail: usage.detail },
     });
   });
+  const aliasEdits = getAliasEdits(originalContent, aliases, edited, options)
+    .filter(({ edit }) => !edits.some(other => edit.start >= other.start && edit.end <= other.end));
+  aliasEdits.forEach(({ edit, logs }) => {
+    edits.push(edit);
+    detectedLogs.push(...logs);
+  });
+  detectedLogs.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const changesMade = edits.length;
+  const loggerImport = getLoggerImport(options);
+  let importAdded = false;
+  if (loggerImport && importAst) {
+    const importEdit = getImportEdit(importAst, originalContent, loggerImport, filePath);
+    if (importEdit) {
+      edits.push(importEdit);
+      importAdded = true;
+    }
+  }
+
+  if (changesMade === 0) {
+    return { content: originalContent, changes: 0, detectedLogs, importAdded, map: null };
+  }
+  // Line breaks in inserted code follow the file's own line endings
+  const eol = detectEol(originalContent);
+  const output = rewrite(originalContent, edits.map(edit => ({ ...edit, text: toEol(edit.text, eol) })));
+  // Maps are only built on request; they are costly and the CLI does not need them
+  const map = options.sourceMap
+    ? { ...output.generateMap({ source: path.basename(filePath || 'input.js'), file: path.basename(filePath || 'input.js'), includeContent: true, hires: true }) }
+    : null;
+  return { content: output.toString(), changes: changesMade, detectedLogs, importAdded, map };
+}
+
+/**
+ * Builds the result of a file that was not processed.
+ */
+function skippedResult(filePath, reason) {
+  return {
+    filePath,
+    status: 'skipped',
+    reason,
+    changes: 0,
+    detectedLogs: [],
+    fileStats: null
+  };
+}
+
+/**
+ * Builds the source map of a rewritten file for --source-map. A map the file
+ * already points to (e.g. compiled output) is chained and replaced where it
+ * is, inline or on disk; otherwise `<file>.map` is created and referenced
+ * from a new sourceMappingURL comment.
+ *
+ * @returns {Promise<{ content: string, mapPath: string|null, mapContent: string|null, originalMap: string|null }>}
+ */
+async function createSourceMapOutput(filePath, originalContent, newContent, map) {
+  const input = await readInputSourceMap(originalContent, filePath);
+  const chained = { ...chainSourceMaps(map, input && input.map), file: path.basename(filePath) };
+  // The comment is kept by the rewrite, so it is found again in the new content
+  const comment = input && findSourceMappingUrl(newContent);
+
+  if (input && !input.mapPath && comment) {
+    return {
+      content: newContent.slice(0, comment.start) + toDataUrl(chained) + newContent.slice(comment.end),
+      mapPath: null,
+      mapContent: null,
+      originalMap: null,
+    };
+  }
+  if (input && input.mapPath && comment) {
+    return {
+      content: newContent,
+      mapPath: input.mapPath,
+      mapContent: JSON.stringify(chained),
+      originalMap: await fs.readFile(input.mapPath, 'utf8'),
+    };
+  }
+  const mapPath = `${filePath}.map`;
+  const eol = detectEol(newContent);
+  const separator = newContent.endsWith('\n') || newContent === '' ? '' : eol;
+  return {
+    content: `${newContent}${separator}//# sourceMappingURL=${encodeURI(path.basename(mapPath))}${eol}`,
+    mapPath,
+    mapContent: JSON.stringify(chained),
+    originalMap: await readOptionalFile(mapPath),
+  };
 }
 
 /**
- * Processes a single file based on the provided options.
+ * Reads a file, or resolves with null when it does not exist.
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Processes a single file based on the provided options. Binary files and
+ * files that are not UTF-8 are skipped; a byte order mark and the file's line
+ * endings are kept, and the file is replaced atomically with its permissions.
  */
 async function processFile(filePath, options) {
   try {
-    const originalContent = await fs.readFile(filePath, 'utf8');
-    let newContent = originalContent;
-    let changesMade = 0;
-    const detectedLogs = [];
+    // With --staged the index is what gets committed, so that is what is read
+    const staged = options.staged ? await readStagedFile(filePath) : null;
+    // Huge or minified bundles are skipped before they are ever read into memory
+    if (options.maxFileSize) {
+      const size = staged ? staged.length : (await fs.stat(filePath)).size;
+      if (size > options.maxFileSize) {
+        return skippedResult(filePath, `larger than --max-file-size (${size} bytes)`);
+      }
+    }
+
+    const decoded = decodeText(staged || await fs.readFile(filePath));
+    if (decoded.skipReason) {
+      return skippedResult(filePath, decoded.skipReason);
+    }
+    const { text: originalContent, bom } = decoded;
     const fileStats = {
       originalSize: originalContent.length,
       originalLines: originalContent.split('\n').length
     };
 
-    if (options.mode === 'remove') {
-      newContent = originalContent.replace(CONSOLE_REGEX, (match, logType, offset) => {
-        changesMade++;
-        const lineNumber = originalContent.substring(0, offset).split('\n').length;
-        detectedLogs.push({
-          type: logType,
-          line: lineNumber,
-          content: match.trim(),
-          action: 'removed'
-        });
-        return '';
-      }).replace(/^\s*[\r\n]/gm, ''); // Clean up empty lines
-    } else if (options.mode === 'comment') {
-      newContent = originalContent.replace(CONSOLE_REGEX, (match, logType, offset) => {
-        changesMade++;
-        const lineNumber = originalContent.substring(0, offset).split('\n').length;
-        detectedLogs.push({
-          type: logType,
-          line: lineNumber,
-          content: match.trim(),
-          action: 'commented'
-        });
-        return `// ${match}`;
-      });
-    } else if (options.mode === 'replace') {
-      newContent = originalContent.replace(/console\.(log|info|warn|error|debug)\s*\(/g, (match, logType, offset) => {
-        changesMade++;
-        const lineNumber = originalContent.substring(0, offset).split('\n').length;
-        detectedLogs.push({
-          type: logType,
-          line: lineNumber,
-          content: match.trim(),
-          action: 'replaced',
-          replacedWith: options.replaceWith
-        });
-        return options.replaceWith;
-      });
+    // Only this file's changed lines are needed, not the whole change set
+    const { changedLines, ...fileOptions } = options;
+    if (changedLines) {
+      fileOptions.lineRanges = changedLines.get(path.resolve(filePath)) || [];
     }
 
+    let transformed;
+    if (fileOptions.pool) {
+      // Functions and handles cannot cross the thread boundary
+      const { journal, approve, pool, ...workerOptions } = fileOptions;
+      transformed = await pool.run({ code: originalContent, filePath, options: workerOptions });
+    } else {
+      transformed = await transformCode(originalContent, filePath, fileOptions);
+    }
+    const { changes: changesMade, detectedLogs, importAdded } = transformed;
+    let newContent = transformed.content;
+    const sourceMap = changesMade > 0 && options.sourceMap
+      ? await createSourceMapOutput(filePath, originalContent, newContent, transformed.map)
+      : null;
+    if (sourceMap) newContent = sourceMap.content;
+
+    const patch = changesMade > 0 && (options.diff || options.patch)
+      ? createFilePatch(filePath, encodeText(originalContent, bom), encodeText(newContent, bom))
+      : undefined;
+
     fileStats.newSize = newContent.length;
     fileStats.newLines = newContent.split('\n').length;
     fileStats.sizeReduction = fileStats.originalSize - fileStats.newSize;
@@ -87,21 +707,33 @@ async function processFile(filePath, options) {
 
     if (changesMade > 0) {
       if (!options.dryRun) {
-        await fs.writeFile(filePath, newContent, 'utf8');
+        if (options.journal) {
+          await options.journal.record(filePath, encodeText(originalContent, bom), encodeText(newContent, bom));
+        }
+        await writeFileAtomic(filePath, encodeText(newContent, bom));
+        if (sourceMap && sourceMap.mapPath) {
+          if (options.journal) {
+            await options.journal.record(sourceMap.mapPath, sourceMap.originalMap, sourceMap.mapContent);
+          }
+          await writeFileAtomic(sourceMap.mapPath, sourceMap.mapContent);
+        }
       }
       return { 
         filePath, 
         status: 'modified', 
         changes: changesMade,
         detectedLogs,
-        fileStats
+        fileStats,
+        patch,
+        importAdded,
+        sourceMapPath: sourceMap ? sourceMap.mapPath : undefined
       };
     }
     return { 
       filePath, 
       status: 'clean', 
       changes: 0,
-      detectedLogs: [],
+      detectedLogs,
       fileStats
     };
   } catch (error) {
@@ -116,27 +748,6 @@ async function processFile(filePath, options) {
   }
 }
 
-/**
- * Checks if a path is a directory and converts it to a glob pattern
- */
-async function processPatternInput(inputPattern, options) {
-  try {
-    const stats = await fs.stat(inputPattern);
-    if (stats.isDirectory()) {
-      const extensions = options.extensions.split(',').map(ext => ext.trim());
-      // Normalize path separators for glob - always use forward slashes
-      const normalizedPath = inputPattern.replace(/\\/g, '/');
-      // Ensure path doesn't end with slash for consistent glob pattern
-      const cleanPath = normalizedPath.endsWith('/') ? normalizedPath.slice(0, -1) : normalizedPath;
-      const globPattern = `${cleanPath}/**/*.{${extensions.join(',')}}`;
-      return { pattern: globPattern, isFolder: true, folderPath: inputPattern };
-    }
-  } catch (error) {
-    // Not a directory, treat as glob pattern
-  }
-  return { pattern: inputPattern, isFolder: false, folderPath: null };
-}
-
 /**
  * Groups files by their parent directories for batch processing statistics
  */
@@ -153,77 +764,231 @@ function groupFilesByFolder(files) {
 }
 
 /**
- * Main execution function.
+ * Accumulates run statistics as results arrive, so totals and per-folder
+ * stats cost O(1) per file instead of rescanning the result list.
+ */
+function createAggregator() {
+  const totals = { files: 0, modified: 0, clean: 0, errors: 0, skipped: 0, changes: 0, kept: 0 };
+  const folders = new Map();
+  return {
+    totals,
+
+    add(result) {
+      totals.files++;
+      if (result.status === 'modified') totals.modified++;
+      else if (result.status === 'clean') totals.clean++;
+      else if (result.status === 'error') totals.errors++;
+      else if (result.status === 'skipped') totals.skipped++;
+      totals.changes += result.changes;
+      totals.kept += result.detectedLogs.filter(log => log.action === 'kept').length;
+
+      const folder = path.dirname(result.filePath);
+      let stat = folders.get(folder);
+      if (!stat) {
+        stat = { folder, total: 0, modified: 0, changes: 0 };
+        folders.set(folder, stat);
+      }
+      stat.total++;
+      if (result.status === 'modified') {
+        stat.modified++;
+        stat.changes += result.changes;
+      }
+    },
+
+    getFolderStats() {
+      return [...folders.values()].sort((a, b) => a.folder.localeCompare(b.folder));
+    },
+  };
+}
+
+// Options of the Node API that are callbacks or per-call settings rather than config options.
+const API_OPTIONS = ['filename', 'inputSourceMap', 'onProgress', 'confirm', 'approve'];
+
+/**
+ * Validates Node API options like config options and fills in the defaults.
  */
-async function run(pattern, options) {
+function prepareOptions(options, source) {
+  const configOptions = Object.fromEntries(Object.entries(options).filter(([key]) => !API_OPTIONS.includes(key)));
+  validateOptions(configOptions, source);
+  return { ...options, ...normalizeOptions({ ...DEFAULT_OPTIONS, ...configOptions }) };
+}
+
+/**
+ * Purges console calls from a string without touching disk.
+ *
+ * `filename` picks the parser (TypeScript, JSX, Vue, ...) and names the map
+ * source; all other options are the same as in a config file. `map` is a
+ * source map of the change, or null when nothing changed. When the code was
+ * itself generated, pass its map as `inputSourceMap` to get a map that points
+ * to the original sources.
+ *
+ * @param {string} code
+ * @param {object} [options]
+ * @returns {Promise<{ code: string, changes: number, map: object|null, detectedLogs: Array, importAdded: boolean }>}
+ */
+async function purgeSource(code, options = {}) {
+  const { filename = 'input.js', inputSourceMap, ...rest } = prepareOptions(options, 'purgeSource()');
+  const result = await transformCode(code, filename, { ...rest, sourceMap: true });
+  return {
+    code: result.content,
+    changes: result.changes,
+    map: result.map && chainSourceMaps(result.map, inputSourceMap),
+    detectedLogs: result.detectedLogs,
+    importAdded: result.importAdded,
+  };
+}
+
+/**
+ * Purges console calls from every file matched by `patterns` (globs or folder
+ * paths) and returns structured results. Nothing is printed; progress is
+ * reported to `options.onProgress` as events:
+ *
+ * - `{ type: 'discovered', files, isFolder }` once the files are known
+ * - `{ type: 'start', total }` right before the first file is processed
+ * - `{ type: 'file', result, completed, total }` after each file
+ *
+ * `options.confirm(files)` may cancel the run before anything is written, and
+ * `options.approve({ filePath, log, patch })` asks for every single change,
+ * in which case files are processed one at a time.
+ *
+ * @param {string|string[]} patterns
+ * @param {object} [options]
+ * @returns {Promise<{ files: string[], inputs: string[], patterns: string[], isFolder: boolean, cancelled: boolean,
+ *   results: Array, totals: object, folders: Array, runId: string|null, restaged: string[], executionTime: number }>}
+ */
+async function purgeFiles(patterns, options = {}) {
   const startTime = Date.now();
-  const spinner = ora(chalk.cyan('Discovering files...')).start();
-  
-  // Process input pattern (could be folder path or glob)
-  const { pattern: processedPattern, isFolder, folderPath } = await processPatternInput(pattern, options);
-  
-  if (isFolder) {
-    spinner.text = chalk.cyan(`Scanning folder: ${folderPath} for ${options.extensions} files...`);
-  }
-  
-  const files = await glob(processedPattern, { ignore: options.ignore, nodir: true });
-  
-  if (files.length === 0) {
-    spinner.warn(chalk.yellow(`No files found matching pattern: ${processedPattern}`));
-    return;
-  }
-  
-  // Enhanced folder statistics
-  let folderInfo = '';
-  if (options.batchFolders || isFolder) {
-    const folderGroups = groupFilesByFolder(files);
-    const folderCount = Object.keys(folderGroups).length;
-    folderInfo = ` across ${folderCount} folders`;
+  const { onProgress = () => {}, confirm, ...fileOptions } = prepareOptions(options, 'purgeFiles()');
+
+  // Process input patterns (folder paths or globs), narrowed to the git change set if asked
+  const { files, inputs, patterns: globPatterns, isFolder, changedLines } = await discoverFiles(patterns, fileOptions);
+  const aggregator = createAggregator();
+  const outcome = {
+    files,
+    inputs,
+    patterns: globPatterns,
+    isFolder,
+    cancelled: false,
+    results: [],
+    totals: aggregator.totals,
+    folders: [],
+    runId: null,
+    restaged: [],
+    executionTime: 0,
+  };
+  onProgress({ type: 'discovered', files, isFolder });
+
+  if (files.length === 0 || (confirm && !(await confirm(files)))) {
+    outcome.cancelled = files.length > 0;
+    outcome.executionTime = Date.now() - startTime;
+    return outcome;
   }
-  
-  spinner.succeed(chalk.green(`Found ${files.length} files${folderInfo} to analyze.`));
 
-  if (!options.dryRun && !options.yes) {
-    const proceed = await askForConfirmation(
-      chalk.yellow.bold(`\nAbout to modify files in place. This can't be undone. Proceed? (y/N) `)
-    );
-    if (!proceed) {
-      console.log(chalk.red('Operation cancelled by user.'));
-      return;
+  onProgress({ type: 'start', total: files.length });
+  const journal = fileOptions.dryRun ? null : await createJournal({ mode: fileOptions.mode });
+  // Re-staging a file with unstaged edits would commit those edits too, so such files are left alone
+  const partiallyStaged = fileOptions.staged && !fileOptions.dryRun ? await getPartiallyStagedFiles() : new Set();
+  const purge = (file, pool) => (partiallyStaged.has(path.resolve(file))
+    ? skippedResult(file, 'has unstaged changes; stage or stash them first')
+    : processFile(file, { ...fileOptions, changedLines, journal, pool }));
+  const collect = result => {
+    outcome.results.push(result);
+    aggregator.add(result);
+    onProgress({ type: 'file', result, completed: outcome.results.length, total: files.length });
+  };
+
+  if (fileOptions.approve) {
+    // Every change is approved one by one, so files are handled one at a time
+    for (const file of files) {
+      collect(await purge(file));
+    }
+  } else {
+    // Process files in parallel, with a bounded number open at once to avoid EMFILE and memory spikes
+    const pool = fileOptions.workers ? createWorkerPool(fileOptions.workers === true ? undefined : fileOptions.workers) : null;
+    try {
+      await runWithConcurrency(files, fileOptions.concurrency, async file => {
+        collect(await purge(file, pool));
+      });
+    } finally {
+      if (pool) await pool.close();
     }
   }
 
+  const journalRun = journal ? await journal.finish() : null;
+  outcome.runId = journalRun ? journalRun.id : null;
+  if (fileOptions.staged && !fileOptions.dryRun) {
+    outcome.restaged = outcome.results.filter(r => r.status === 'modified').map(r => r.filePath);
+    await stageFiles(outcome.restaged);
+  }
+  outcome.results.sort((a, b) => a.filePath.localeCompare(b.filePath));
+  outcome.folders = aggregator.getFolderStats();
+  outcome.executionTime = Date.now() - startTime;
+  return outcome;
+}
+
+/**
+ * Main execution function: the CLI front end of purgeFiles.
+ */
+async function run(patterns, options) {
+  const spinner = ora(chalk.cyan('Discovering files...')).start();
   const progressBar = new cliProgress.SingleBar({
     format: `${gradient.pastel('{bar}')} | {percentage}% | {value}/{total} Files | ${chalk.yellow('File:')} {filename}`,
     barCompleteChar: '\u2588',
     barIncompleteChar: '\u2591',
     hideCursor: true,
   });
+
+  const onProgress = event => {
+    if (event.type === 'discovered' && event.files.length > 0) {
+      // Enhanced folder statistics
+      let folderInfo = '';
+      if (options.batchFolders || event.isFolder) {
+        folderInfo = ` across ${Object.keys(groupFilesByFolder(event.files)).length} folders`;
+      }
+      spinner.succeed(chalk.green(`Found ${event.files.length} files${folderInfo} to analyze.`));
+    } else if (event.type === 'start') {
+      console.log(`\n${chalk.bold.blue('🔥 Purging console logs... Mode: ' + chalk.bold.magenta(options.mode.toUpperCase()))}`);
+      if (!options.interactive) progressBar.start(event.total, 0, { filename: 'N/A' });
+    } else if (event.type === 'file' && !options.interactive) {
+      progressBar.increment({ filename: path.basename(event.result.filePath) });
+    }
+  };
+
+  const confirm = async () => {
+    if (options.dryRun || options.yes || options.interactive) return true;
+    return askForConfirmation(
+      chalk.yellow.bold(`\nAbout to modify files in place. Originals are saved to ${JOURNAL_DIR}/ and can be restored with "log-purge restore". Proceed? (y/N) `)
+    );
+  };
+
+  // Every change is approved at the prompt, so there is no progress bar in interactive mode
+  const approve = options.interactive ? createApprover() : undefined;
+  let outcome;
+  try {
+    outcome = await purgeFiles(patterns, { ...options, onProgress, confirm, approve });
+  } finally {
+    if (approve) approve.close();
+    progressBar.stop();
+  }
+  const { files, inputs, patterns: processedPatterns, isFolder, results, totals, folders: folderStats, runId, restaged, executionTime } = outcome;
+
+  if (files.length === 0) {
+    const changeSet = options.staged ? 'staged ' : options.changedSince ? `changed since ${options.changedSince} ` : '';
+    spinner.warn(chalk.yellow(`No ${changeSet}files found matching ${processedPatterns.length === 1 ? 'pattern' : 'patterns'}: ${processedPatterns.join(', ')}`));
+    return;
+  }
+  if (outcome.cancelled) {
+    console.log(chalk.red('Operation cancelled by user.'));
+    return;
+  }
   
-  console.log(`\n${chalk.bold.blue('🔥 Purging console logs... Mode: ' + chalk.bold.magenta(options.mode.toUpperCase()))}`);
-  progressBar.start(files.length, 0, { filename: 'N/A' });
-
-  const results = [];
-  // Process files in parallel for performance
-  const promises = files.map(file => 
-    processFile(file, options).then(result => {
-      results.push(result);
-      progressBar.increment({ filename: path.basename(file) });
-    })
-  );
-  await Promise.all(promises);
-  
-  progressBar.stop();
   console.log(gradient.atlas('\n\n ✨ All Done! ✨\n'));
 
-  const endTime = Date.now();
-  const executionTime = endTime - startTime;
-
   // --- Summary Report ---
   const modifiedFiles = results.filter(r => r.status === 'modified');
   const errorFiles = results.filter(r => r.status === 'error');
-  const cleanFiles = results.filter(r => r.status === 'clean');
-  const totalChanges = modifiedFiles.reduce((sum, f) => sum + f.changes, 0);
+  const skippedFiles = results.filter(r => r.status === 'skipped');
+  const { changes: totalChanges, kept: totalKept } = totals;
 
   let summary = [];
   summary.push(chalk.whiteBright.bold('Operation Summary'));
@@ -234,20 +999,30 @@ async function run(pattern, options) {
   summary.push(`${chalk.cyan('Total Files Scanned:')} ${chalk.bold(files.length)}`);
   summary.push(`${chalk.green('Files Modified:')}      ${chalk.bold(modifiedFiles.length)}`);
   summary.push(`${chalk.magenta('Total Logs Purged:')}   ${chalk.bold(totalChanges)}`);
+  if (totalKept > 0) {
+    summary.push(`${chalk.blue('Total Logs Kept:')}     ${chalk.bold(totalKept)}`);
+  }
   if (errorFiles.length > 0) {
     summary.push(`${chalk.red('Files with Errors:')}   ${chalk.bold(errorFiles.length)}`);
   }
+  if (skippedFiles.length > 0) {
+    summary.push(`${chalk.yellow('Files Skipped:')}       ${chalk.bold(skippedFiles.length)}`);
+  }
+  const safetyWarnings = results.flatMap(r => getSafetyWarnings(r).map(log => ({ filePath: r.filePath, log })));
+  if (safetyWarnings.length > 0) {
+    summary.push(`${chalk.yellow('Needs Review:')}        ${chalk.bold(safetyWarnings.length)}`);
+  }
+  if (restaged.length > 0) {
+    summary.push(`${chalk.green('Files Re-staged:')}     ${chalk.bold(restaged.length)}`);
+  }
+  if (runId) {
+    summary.push('');
+    summary.push(`${chalk.gray('Run ID:')} ${chalk.bold(runId)}`);
+    summary.push(chalk.gray(`Undo with: log-purge restore ${runId}`));
+  }
 
   // Enhanced batch folder statistics
   if (options.batchFolders || isFolder) {
-    const folderGroups = groupFilesByFolder(files);
-    const folderStats = Object.entries(folderGroups).map(([folder, folderFiles]) => {
-      const folderResults = results.filter(r => folderFiles.includes(r.filePath));
-      const folderModified = folderResults.filter(r => r.status === 'modified');
-      const folderChanges = folderModified.reduce((sum, f) => sum + f.changes, 0);
-      return { folder, total: folderFiles.length, modified: folderModified.length, changes: folderChanges };
-    });
-    
     console.log(chalk.blue.bold('\n📁 Folder Statistics:'));
     folderStats.forEach(stat => {
       if (stat.modified > 0) {
@@ -272,202 +1047,41 @@ async function run(pattern, options) {
       modifiedFiles.forEach(f => console.log(`  - ${f.filePath} (${f.changes} changes)`));
   }
   
-  if(options.report){
-      await generateMarkdownReport(options.report, {
-        files, 
-        results,
-        modifiedFiles, 
-        cleanFiles,
-        errorFiles,
-        totalChanges,
-        executionTime,
-        options,
-        pattern: processedPattern,
-        isFolder,
-        folderPath
-      });
-  }
-}
-
-/**
- * Generates a comprehensive markdown report of the operation.
- */
-async function generateMarkdownReport(filename, {
-  files, 
-  results,
-  modifiedFiles, 
-  cleanFiles,
-  errorFiles,
-  totalChanges,
-  executionTime,
-  options,
-  pattern,
-  isFolder,
-  folderPath
-}) {
-  const reportName = typeof filename === 'string' ? filename : 'log-purge-report.md';
-  const spinner = ora(chalk.cyan(`Generating detailed markdown report to ${reportName}...`)).start();
-  
-  // Calculate detailed statistics
-  const logTypeStats = {};
-  const totalSizeReduction = modifiedFiles.reduce((sum, f) => sum + (f.fileStats?.sizeReduction || 0), 0);
-  const totalLinesReduced = modifiedFiles.reduce((sum, f) => sum + (f.fileStats?.linesReduced || 0), 0);
-  
-  // Gather log type statistics
-  modifiedFiles.forEach(file => {
-    file.detectedLogs?.forEach(log => {
-      if (!logTypeStats[log.type]) {
-        logTypeStats[log.type] = { count: 0, action: log.action };
-      }
-      logTypeStats[log.type].count++;
-    });
-  });
-
-  let reportContent = `# 🔥 Log-Purge Execution Report\n\n`;
-  
-  // Executive Summary
-  reportContent += `## 📊 Executive Summary\n\n`;
-  reportContent += `| Metric | Value |\n`;
-  reportContent += `|--------|-------|\n`;
-  reportContent += `| **Execution Date** | ${new Date().toLocaleString()} |\n`;
-  reportContent += `| **Execution Time** | ${executionTime}ms (${(executionTime/1000).toFixed(2)}s) |\n`;
-  reportContent += `| **Operation Mode** | ${options.mode.toUpperCase()} |\n`;
-  reportContent += `| **${isFolder ? 'Folder Path' : 'Glob Pattern'}** | \`${isFolder ? folderPath : pattern}\` |\n`;
-  if (isFolder) {
-    reportContent += `| **File Extensions** | \`${options.extensions}\` |\n`;
-  }
-  reportContent += `| **Dry Run Mode** | ${options.dryRun ? '✅ Yes' : '❌ No'} |\n`;
-  reportContent += `| **Files Scanned** | ${files.length} |\n`;
-  reportContent += `| **Files Modified** | ${modifiedFiles.length} |\n`;
-  reportContent += `| **Files Clean** | ${cleanFiles.length} |\n`;
-  reportContent += `| **Files with Errors** | ${errorFiles.length} |\n`;
-  reportContent += `| **Console Statements ${options.mode === 'remove' ? 'Removed' : options.mode === 'comment' ? 'Commented' : 'Replaced'}** | ${totalChanges} |\n`;
-  if (options.mode === 'remove') {
-    reportContent += `| **Total Size Reduction** | ${totalSizeReduction} bytes (${(totalSizeReduction/1024).toFixed(2)} KB) |\n`;
-    reportContent += `| **Total Lines Reduced** | ${totalLinesReduced} |\n`;
-  }
-  reportContent += `\n`;
-
-  // Folder Statistics (if batch processing was used)
-  if (options.batchFolders || isFolder) {
-    const folderGroups = groupFilesByFolder(files);
-    const folderStats = Object.entries(folderGroups).map(([folder, folderFiles]) => {
-      const folderResults = results.filter(r => folderFiles.includes(r.filePath));
-      const folderModified = folderResults.filter(r => r.status === 'modified');
-      const folderChanges = folderModified.reduce((sum, f) => sum + f.changes, 0);
-      return { folder, total: folderFiles.length, modified: folderModified.length, changes: folderChanges };
-    });
-
-    reportContent += `## 📁 Folder Statistics\n\n`;
-    reportContent += `| Folder | Files Scanned | Files Modified | Console Statements ${options.mode === 'remove' ? 'Removed' : options.mode === 'comment' ? 'Commented' : 'Replaced'} |\n`;
-    reportContent += `|--------|---------------|----------------|----------|\n`;
-    folderStats
-      .sort((a, b) => b.changes - a.changes)
-      .forEach(stat => {
-        const relativePath = stat.folder.replace(process.cwd(), '.');
-        reportContent += `| \`${relativePath}\` | ${stat.total} | ${stat.modified} | ${stat.changes} |\n`;
-      });
-    reportContent += `\n`;
-  }
-
-  // Console Log Type Breakdown
-  if (Object.keys(logTypeStats).length > 0) {
-    reportContent += `## 🎯 Console Log Type Breakdown\n\n`;
-    reportContent += `| Log Type | Count | Action |\n`;
-    reportContent += `|----------|-------|--------|\n`;
-    Object.entries(logTypeStats)
-      .sort(([,a], [,b]) => b.count - a.count)
-      .forEach(([type, stats]) => {
-        reportContent += `| \`console.${type}()\` | ${stats.count} | ${stats.action} |\n`;
-      });
-    reportContent += `\n`;
-  }
-
-  // File-by-File Analysis
-  if (modifiedFiles.length > 0) {
-    reportContent += `## 📝 Modified Files Details\n\n`;
-    modifiedFiles.forEach((file, index) => {
-      const fileName = path.basename(file.filePath);
-      const relativePath = file.filePath.replace(process.cwd(), '.');
-      
-      reportContent += `### ${index + 1}. \`${fileName}\`\n\n`;
-      reportContent += `**Path:** \`${relativePath}\`\n\n`;
-      reportContent += `**Summary:**\n`;
-      reportContent += `- **Console statements ${options.mode}d:** ${file.changes}\n`;
-      
-      if (file.fileStats) {
-        reportContent += `- **Original size:** ${file.fileStats.originalSize} bytes (${file.fileStats.originalLines} lines)\n`;
-        reportContent += `- **New size:** ${file.fileStats.newSize} bytes (${file.fileStats.newLines} lines)\n`;
-        if (file.fileStats.sizeReduction > 0) {
-          reportContent += `- **Size reduction:** ${file.fileStats.sizeReduction} bytes (${file.fileStats.linesReduced} lines)\n`;
-        }
-      }
-      reportContent += `\n`;
-
-      if (file.detectedLogs && file.detectedLogs.length > 0) {
-        reportContent += `**Console statements found:**\n\n`;
-        reportContent += `| Line | Type | Action | Content |\n`;
-        reportContent += `|------|------|--------|----------|\n`;
-        file.detectedLogs.forEach(log => {
-          const content = log.content.length > 50 ? log.content.substring(0, 47) + '...' : log.content;
-          reportContent += `| ${log.line} | \`${log.type}\` | ${log.action} | \`${content}\` |\n`;
-        });
-        reportContent += `\n`;
-      }
+  if (safetyWarnings.length > 0) {
+    console.log(chalk.yellow.bold('\n⚠️  Needs Review:'));
+    safetyWarnings.forEach(({ filePath, log }) => {
+      console.log(`  ${chalk.dim(`${filePath}:${log.line}:${log.column}`)}  ${describeFinding(log, 'purge')}`);
     });
+    if (safetyWarnings.some(({ log }) => log.safety.decision === 'dropped-side-effects')) {
+      console.log(chalk.gray('  Re-run with --keep-side-effects to keep arguments that may have side effects.'));
+    }
   }
 
-  // Clean Files Summary
-  if (cleanFiles.length > 0 && cleanFiles.length <= 20) {
-    reportContent += `## ✅ Clean Files (No Console Statements)\n\n`;
-    cleanFiles.forEach(file => {
-      reportContent += `- \`${path.basename(file.filePath)}\`\n`;
-    });
-    reportContent += `\n`;
-  } else if (cleanFiles.length > 20) {
-    reportContent += `## ✅ Clean Files\n\n`;
-    reportContent += `${cleanFiles.length} files were scanned and found to be clean (no console statements detected).\n\n`;
+  if (options.diff && modifiedFiles.length > 0) {
+    console.log(chalk.blue.bold(options.dryRun ? '\nChanges that would be made:\n' : '\nChanges made:\n'));
+    modifiedFiles.forEach(f => console.log(colorizePatch(f.patch)));
   }
 
-  // Error Files
-  if (errorFiles.length > 0) {
-    reportContent += `## ❌ Files with Errors\n\n`;
-    errorFiles.forEach(file => {
-      reportContent += `### \`${path.basename(file.filePath)}\`\n`;
-      reportContent += `**Path:** \`${file.filePath}\`\n`;
-      reportContent += `**Error:** ${file.error}\n\n`;
-    });
+  if (options.patch) {
+    const patchName = typeof options.patch === 'string' ? options.patch : 'log-purge.diff';
+    await fs.writeFile(patchName, modifiedFiles.map(f => f.patch).join(''), 'utf8');
+    console.log(chalk.green(`Patch with ${modifiedFiles.length} file${modifiedFiles.length === 1 ? '' : 's'} written to ${patchName}.`));
   }
-
-  // Configuration Details
-  reportContent += `## ⚙️ Configuration\n\n`;
-  reportContent += `**Command Line Options:**\n`;
-  reportContent += `- **Mode:** ${options.mode}\n`;
-  if (options.replaceWith) {
-    reportContent += `- **Replace With:** \`${options.replaceWith}\`\n`;
-  }
-  if (options.ignore) {
-    reportContent += `- **Ignore Pattern:** \`${options.ignore}\`\n`;
-  }
-  reportContent += `- **Dry Run:** ${options.dryRun}\n`;
-  reportContent += `- **Auto-confirm:** ${options.yes}\n`;
-  reportContent += `\n`;
-
-  // Performance Metrics
-  reportContent += `## 📈 Performance Metrics\n\n`;
-  reportContent += `- **Total execution time:** ${executionTime}ms\n`;
-  reportContent += `- **Average time per file:** ${(executionTime / files.length).toFixed(2)}ms\n`;
-  reportContent += `- **Files processed per second:** ${(files.length / (executionTime / 1000)).toFixed(2)}\n`;
-  reportContent += `- **Console statements processed per second:** ${(totalChanges / (executionTime / 1000)).toFixed(2)}\n`;
-  reportContent += `\n`;
-
-  // Footer
-  reportContent += `---\n`;
-  reportContent += `*Report generated by [Log-Purge](https://github.com/new-horizon-code/log-purge) v${require('../package.json').version}*\n`;
-  reportContent += `*Execution completed at ${new Date().toISOString()}*\n`;
   
-  await fs.writeFile(reportName, reportContent, 'utf-8');
-  spinner.succeed(chalk.green(`Detailed report saved successfully to ${reportName}.`));
+  // --format picks the report format and implies --report; the console formats only apply to "check"
+  const reportFormat = options.format && !CONSOLE_FORMATS.includes(options.format) ? options.format : null;
+  if (options.report || reportFormat) {
+    const report = buildReport({
+      results,
+      options,
+      inputs,
+      isFolder,
+      folders: folderStats,
+      executionTime,
+      runId,
+    });
+    await writeReport(report, { format: reportFormat || 'markdown', filename: options.report });
+  }
 }
 
-module.exports = { run };
\ No newline at end of file
+module.exports = { run, purgeSource, purgeFiles, processFile, transformCode, discoverFiles };
@@ -0,0 +1,111 @@
+const path = require('path');
+
+const packageJson = require('../package.json');
+
+/**
+ * Returns the console calls of a result that were (or, for check, would be)
+ * acted on, leaving out the kept ones.
+ */
+function getFindings(result) {
+  return (result.detectedLogs || []).filter(log => log.action !== 'kept');
+}
+
+/**
+ * Returns the target a finding belongs to, e.g. "console.log", "console" for
+ * the console object, "logger.trace" or "debugger". Results without a target
+ * are console calls named by their method.
+ */
+function getTargetName(log) {
+  if (log.target) return log.target;
+  return log.type === '*' ? 'console' : `console.${log.type}`;
+}
+
+/**
+ * Builds the one-line message for a detected call, debugger statement, alias
+ * declaration or console usage that could not be followed.
+ */
+function describeFinding(log, command) {
+  const unresolved = log.safety && log.safety.decision === 'unresolved';
+  const target = getTargetName(log);
+  const subject = log.alias ? `${target} alias "${log.alias}"` : target === 'debugger' ? 'debugger statement' : `${target} call`;
+  if (command === 'check') {
+    return unresolved ? `Unresolved console usage: ${log.safety.detail}` : `Unexpected ${subject}`;
+  }
+  if (unresolved) return `Console usage ${log.action} (${log.safety.detail})`;
+  const replacement = log.replacedWith ? ` with ${log.replacedWith}` : '';
+  const safety = log.safety ? ` (${log.safety.detail})` : '';
+  return `${subject} ${log.action}${replacement}${safety}`;
+}
+
+/**
+ * Returns the findings of a result that need a second look: calls left in
+ * place as unsafe to rewrite, calls removed with arguments that may have had
+ * side effects, and console usage that could not be followed.
+ */
+function getSafetyWarnings(result) {
+  return (result.detectedLogs || []).filter(log => log.safety
+    && ['unsafe', 'dropped-side-effects', 'unresolved'].includes(log.safety.decision));
+}
+
+/**
+ * Returns a file's path relative to cwd, with forward slashes.
+ */
+function toRelativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Builds the report model shared by every formatter.
+ *
+ * @param {object} params
+ * @param {'purge'|'check'} [params.command]
+ * @param {Array} params.results Results of processFile, one per file.
+ * @param {object} params.options Resolved options of the run.
+ * @param {string[]} [params.inputs] Patterns and folders as given by the user.
+ * @param {boolean} [params.isFolder] Whether any input was a folder.
+ * @param {Array} [params.folders] Per-folder statistics.
+ * @param {number} [params.executionTime] Duration of the run in milliseconds.
+ * @param {string|null} [params.runId] Journal run ID, when files were written.
+ */
+function buildReport({ command = 'purge', results, options, inputs = [], isFolder = false, folders = [], executionTime = 0, runId = null }) {
+  const sorted = [...results].sort((a, b) => a.filePath.localeCompare(b.filePath));
+  const count = status => sorted.filter(r => r.status === status).length;
+  return {
+    tool: {
+      name: packageJson.name,
+      version: packageJson.version,
+      informationUri: packageJson.homepage,
+    },
+    generatedAt: new Date().toISOString(),
+    command,
+    mode: command === 'check' ? null : options.mode,
+    dryRun: command === 'check' || Boolean(options.dryRun),
+    runId,
+    inputs,
+    isFolder,
+    executionTime,
+    options,
+    summary: {
+      files: sorted.length,
+      modified: count('modified'),
+      clean: count('clean'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      changes: sorted.reduce((sum, r) => sum + r.changes, 0),
+      findings: sorted.reduce((sum, r) => sum + getFindings(r).length, 0),
+      kept: sorted.reduce((sum, r) => sum + (r.detectedLogs || []).length - getFindings(r).length, 0),
+      flagged: sorted.reduce((sum, r) => sum + (r.detectedLogs || []).filter(log => log.action === 'flagged').length, 0),
+    },
+    folders,
+    results: sorted,
+  };
+}
+
+module.exports = {
+  getFindings,
+  getTargetName,
+  describeFinding,
+  getSafetyWarnings,
+  toRelativePath,
+  buildReport,
+};
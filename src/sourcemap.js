@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const remapping = require('@ampproject/remapping');
+
+// The last sourceMappingURL comment of a file, in line or block comment form.
+const SOURCE_MAPPING_URL_REGEX = /(?:\/\/[#@][^\S\r\n]*sourceMappingURL=([^\s'"]+)[^\S\r\n]*|\/\*[#@][^\S\r\n]*sourceMappingURL=([^\s*'"]+)[^\S\r\n]*\*\/)[^\S\r\n]*(?:\r?\n[^\S\r\n]*)*$/;
+
+const DATA_URL_REGEX = /^data:application\/json[^,]*?(;base64)?,(.*)$/;
+
+/**
+ * Finds the sourceMappingURL comment at the end of a file.
+ *
+ * @returns {{ url: string, start: number, end: number }|null} The URL and its offsets in the code.
+ */
+function findSourceMappingUrl(code) {
+  const match = SOURCE_MAPPING_URL_REGEX.exec(code);
+  if (!match) return null;
+  const url = match[1] || match[2];
+  const start = match.index + match[0].indexOf(url);
+  return { url, start, end: start + url.length };
+}
+
+/**
+ * Encodes a map as a base64 data URL for an inline sourceMappingURL comment.
+ */
+function toDataUrl(map) {
+  return `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+}
+
+/**
+ * Reads the source map a file points to, inline or as a separate file.
+ * Returns null when there is none or it cannot be read; a broken input map
+ * is no reason to fail the purge.
+ *
+ * @returns {Promise<{ map: object, comment: { url: string, start: number, end: number }, mapPath: string|null }|null>}
+ */
+async function readInputSourceMap(code, filePath) {
+  const comment = findSourceMappingUrl(code);
+  if (!comment) return null;
+  try {
+    const data = DATA_URL_REGEX.exec(comment.url);
+    if (data) {
+      const json = data[1] ? Buffer.from(data[2], 'base64').toString('utf8') : decodeURIComponent(data[2]);
+      return { map: JSON.parse(json), comment, mapPath: null };
+    }
+    if (/^[a-z][\w+.-]*:/i.test(comment.url)) return null;
+    const mapPath = path.resolve(path.dirname(filePath), decodeURIComponent(comment.url));
+    return { map: JSON.parse(await fs.readFile(mapPath, 'utf8')), comment, mapPath };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Chains the map of a rewrite onto the map of the code it was given, so the
+ * result maps straight to the original sources.
+ */
+function chainSourceMaps(map, inputMap) {
+  if (!inputMap) return map;
+  return { ...remapping([map, typeof inputMap === 'string' ? JSON.parse(inputMap) : inputMap], () => null) };
+}
+
+module.exports = {
+  findSourceMappingUrl,
+  toDataUrl,
+  readInputSourceMap,
+  chainSourceMaps,
+};
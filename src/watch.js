@@ -0,0 +1,217 @@
+const fs = require('fs/promises');
+const path = require('path');
+const chalk = require('chalk');
+const chokidar = require('chokidar');
+const { hasMagic } = require('glob');
+
+const { processFile } = require('./processor');
+const { discoverFiles, createIgnoreFilter } = require('./discovery');
+const { createJournal } = require('./journal');
+const { runWithConcurrency } = require('./pool');
+const { getFindings, describeFinding, toRelativePath } = require('./report');
+
+// Milliseconds to wait after the last event for a file before handling it.
+const DEFAULT_DEBOUNCE = 100;
+
+/**
+ * Returns the directory to watch for a folder path or glob: the pattern up to
+ * its first segment with glob syntax.
+ */
+function getWatchRoot(pattern) {
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const index = segments.findIndex(segment => hasMagic(segment));
+  const root = (index === -1 ? segments : segments.slice(0, index)).join('/');
+  return root || '.';
+}
+
+/**
+ * Identifies a finding by its method and code, so findings can be told apart
+ * from ones seen before even when edits above them shift their lines.
+ */
+function getFindingKey(log) {
+  return `${log.type}\0${log.content}`;
+}
+
+/**
+ * Returns the findings of `current` that were not in `previous`, matching
+ * duplicates one to one.
+ */
+function getNewFindings(previous, current) {
+  const seen = new Map();
+  previous.forEach(log => seen.set(getFindingKey(log), (seen.get(getFindingKey(log)) || 0) + 1));
+  return current.filter(log => {
+    const count = seen.get(getFindingKey(log)) || 0;
+    if (count > 0) seen.set(getFindingKey(log), count - 1);
+    return count === 0;
+  });
+}
+
+/**
+ * Watches the files matched by `patterns` and re-checks each one when it is
+ * saved. Without `options.fix` new console calls are reported; with it they
+ * are purged in `options.mode`, in a journaled session that "log-purge
+ * restore" can undo. Files that appear, disappear or are renamed are picked
+ * up by re-running discovery.
+ *
+ * @returns {Promise<{ close: () => Promise<object> }>} Stops watching and resolves with the session totals.
+ */
+async function watch(patterns, options) {
+  const debounce = options.debounce === undefined ? DEFAULT_DEBOUNCE : options.debounce;
+  const fileOptions = options.fix
+    ? { ...options, dryRun: false }
+    : { ...options, mode: 'remove', dryRun: true };
+  const journal = options.fix ? await createJournal({ mode: options.mode }) : null;
+
+  let files = new Set();
+  const findings = new Map();
+  const ownWrites = new Map();
+  const timers = new Map();
+  const totals = { checked: 0, purged: 0, errors: 0 };
+  let queue = Promise.resolve();
+
+  const countFindings = () => [...findings.values()].reduce((sum, logs) => sum + logs.length, 0);
+  const printSummary = () => {
+    const time = new Date().toLocaleTimeString();
+    const state = options.fix
+      ? `${totals.purged} console call${totals.purged === 1 ? '' : 's'} purged`
+      : `${countFindings()} console call${countFindings() === 1 ? '' : 's'} open`;
+    console.log(chalk.gray(`[${time}] Watching ${files.size} file${files.size === 1 ? '' : 's'} · ${state} · ${totals.checked} checked${totals.errors > 0 ? ` · ${totals.errors} errors` : ''}`));
+  };
+
+  // Resolves with false when there was nothing to check
+  const checkFile = async file => {
+    if (!files.has(file)) return false;
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      return false;
+    }
+    // Our own write comes back as a change event; handling it again would loop
+    if (ownWrites.get(file) === content) {
+      ownWrites.delete(file);
+      return false;
+    }
+
+    const result = await processFile(file, { ...fileOptions, journal });
+    const relativePath = toRelativePath(file);
+    totals.checked++;
+    if (result.status === 'error') {
+      totals.errors++;
+      console.log(`${chalk.underline(relativePath)}  ${chalk.red('error')}  ${result.error}`);
+      return true;
+    }
+    if (result.status === 'skipped') {
+      console.log(`${chalk.underline(relativePath)}  ${chalk.yellow('skipped')}  ${result.reason}`);
+      return true;
+    }
+
+    const current = getFindings(result);
+    if (options.fix) {
+      if (result.status === 'modified') {
+        ownWrites.set(file, await fs.readFile(file, 'utf8'));
+        totals.purged += result.changes;
+        current.forEach(log => {
+          console.log(`${chalk.dim(`${relativePath}:${log.line}:${log.column}`)}  ${chalk.green('fixed')}  ${describeFinding(log, 'purge')}`);
+        });
+      }
+      return true;
+    }
+
+    const previous = findings.get(file) || [];
+    const added = getNewFindings(previous, current);
+    const resolved = previous.length - (current.length - added.length);
+    findings.set(file, current);
+    added.forEach(log => {
+      console.log(`${chalk.dim(`${relativePath}:${log.line}:${log.column}`)}  ${chalk.yellow('warning')}  ${describeFinding(log, 'check')}`);
+    });
+    if (resolved > 0) {
+      console.log(`${chalk.dim(relativePath)}  ${chalk.green(`${resolved} console call${resolved === 1 ? '' : 's'} resolved`)}`);
+    }
+    return true;
+  };
+
+  const rediscover = async () => {
+    const { files: found } = await discoverFiles(patterns, options);
+    const next = new Set(found.map(file => path.resolve(file)));
+    const added = [...next].filter(file => !files.has(file));
+    const removed = [...files].filter(file => !next.has(file));
+    removed.forEach(file => {
+      findings.delete(file);
+      console.log(`${chalk.red('-')} ${toRelativePath(file)}`);
+    });
+    files = next;
+    return { added, removed };
+  };
+
+  // Events are handled one at a time, so a file is never processed twice at once
+  const enqueue = task => {
+    queue = queue.then(task).then(changed => changed && printSummary()).catch(error => {
+      console.error(chalk.red(`Error: ${error.message}`));
+    });
+    return queue;
+  };
+  const schedule = (key, task) => {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      enqueue(task);
+    }, debounce));
+  };
+  const onFilesChanged = () => schedule('\0discover', async () => {
+    const { added, removed } = await rediscover();
+    for (const file of added) {
+      console.log(`${chalk.green('+')} ${toRelativePath(file)}`);
+      await checkFile(file);
+    }
+    return added.length > 0 || removed.length > 0;
+  });
+
+  // The initial scan is the baseline; only calls added after it are reported
+  files = new Set((await discoverFiles(patterns, options)).files.map(file => path.resolve(file)));
+  if (!options.fix) {
+    await runWithConcurrency([...files], options.concurrency, async file => {
+      findings.set(file, getFindings(await processFile(file, fileOptions)));
+    });
+  }
+
+  const ignoreFilter = createIgnoreFilter({
+    patterns: [].concat(options.ignore || []),
+    defaultIgnore: options.defaultIgnore !== false,
+  });
+  const roots = [...new Set([].concat(patterns).map(getWatchRoot))];
+  const watcher = chokidar.watch(roots, {
+    ignoreInitial: true,
+    ignored: (filePath, stats) => {
+      const entry = { fullpath: () => path.resolve(filePath) };
+      return stats && !stats.isDirectory() ? ignoreFilter.ignored(entry) : ignoreFilter.childrenIgnored(entry);
+    },
+  });
+  watcher.on('add', onFilesChanged);
+  watcher.on('unlink', onFilesChanged);
+  watcher.on('unlinkDir', onFilesChanged);
+  watcher.on('change', filePath => {
+    const file = path.resolve(filePath);
+    if (files.has(file)) schedule(file, () => checkFile(file));
+  });
+  watcher.on('error', error => console.error(chalk.red(`Error: ${error.message}`)));
+  await new Promise(resolve => watcher.once('ready', resolve));
+
+  console.log(chalk.cyan(options.fix
+    ? `👀 Watching ${files.size} files; console calls are purged on save (mode: ${chalk.bold.magenta(options.mode.toUpperCase())}).`
+    : `👀 Watching ${files.size} files with ${countFindings()} console calls; new ones are reported on save.`));
+  console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+  return {
+    async close() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      await watcher.close();
+      await queue;
+      const journalRun = journal ? await journal.finish() : null;
+      return { ...totals, files: files.size, findings: countFindings(), runId: journalRun ? journalRun.id : null };
+    },
+  };
+}
+
+module.exports = { DEFAULT_DEBOUNCE, watch };
@@ -0,0 +1,11 @@
+const { parentPort } = require('worker_threads');
+const { transformCode } = require('./processor');
+
+// Runs the source transform for the worker pool in pool.js.
+parentPort.on('message', async ({ code, filePath, options }) => {
+  try {
+    parentPort.postMessage({ result: await transformCode(code, filePath, options) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+
+const { purgeFiles } = require('../src');
+const { restoreRun } = require('../src/journal');
+
+const originalCwd = process.cwd();
+let tempDir;
+
+const write = (name, content) => {
+  fs.writeFileSync(path.join(tempDir, name), content);
+  return path.join(tempDir, name);
+};
+const purge = (name, options = {}) => purgeFiles(path.join(tempDir, name), { mode: 'remove', ...options });
+
+describe('file handling', () => {
+  // The journal is written to the working directory, so the tests run in a temporary one
+  before(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'log-purge-')));
+    process.chdir(tempDir);
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps a UTF-8 byte order mark', async () => {
+    const file = write('bom.js', "\uFEFFconst a = 1;\nconsole.log(a);\n");
+    const { results } = await purge('bom.js');
+    assert.equal(results[0].status, 'modified');
+    assert.deepEqual(fs.readFileSync(file), Buffer.from("\uFEFFconst a = 1;\n"));
+  });
+
+  it('creates patches that apply to files with a byte order mark', async () => {
+    const file = write('bom-patch.js', "\uFEFFconsole.log('a');\nrun();\n");
+    const { results } = await purge('bom-patch.js', { dryRun: true, diff: true });
+    execFileSync('git', ['apply', '--check'], { cwd: tempDir, input: results[0].patch });
+    execFileSync('git', ['apply'], { cwd: tempDir, input: results[0].patch });
+    assert.deepEqual(fs.readFileSync(file), Buffer.from("\uFEFFrun();\n"));
+  });
+
+  it('keeps Windows line endings, also in inserted code', async () => {
+    const file = write('crlf.js', "'use strict';\r\n\r\nfunction run() {\r\n  console.log('a');\r\n  return 1;\r\n}\r\n");
+    await purge('crlf.js', { mode: 'replace', replaceWith: 'logger.info', loggerImport: './logger' });
+    assert.equal(fs.readFileSync(file, 'utf8'), "'use strict';\r\nconst logger = require('./logger');\r\n\r\nfunction run() {\r\n  logger.info('a');\r\n  return 1;\r\n}\r\n");
+
+    const removed = write('crlf-remove.js', "const a = 1;\r\nconsole.log(a);\r\nconsole.log(\r\n  a\r\n);\r\nexport { a };\r\n");
+    await purge('crlf-remove.js');
+    assert.equal(fs.readFileSync(removed, 'utf8'), "const a = 1;\r\nexport { a };\r\n");
+  });
+
+  it('injects the logger import the nearest package.json "type" asks for', async () => {
+    fs.mkdirSync(path.join(tempDir, 'esm'));
+    write('esm/package.json', '{ "type": "module" }\n');
+    const file = write('esm/script.js', "#!/usr/bin/env node\n'use strict';\nconsole.log('a');\n");
+    await purge('esm/script.js', { mode: 'replace', replaceWith: 'logger.info', loggerImport: './logger.js' });
+    assert.equal(fs.readFileSync(file, 'utf8'), "#!/usr/bin/env node\n'use strict';\nimport logger from './logger.js';\nlogger.info('a');\n");
+  });
+
+  it('skips binary files and files that are not UTF-8', async () => {
+    write('binary.js', Buffer.from([0x63, 0x6f, 0x00, 0x01, 0x02]));
+    write('latin1.js', Buffer.from("console.log('caf\xe9');\n", 'latin1'));
+    write('utf16.js', Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("console.log('a');\n", 'utf16le')]));
+
+    const { results } = await purgeFiles(['binary.js', 'latin1.js', 'utf16.js'].map(name => path.join(tempDir, name)), { mode: 'remove' });
+    assert.deepEqual(results.map(result => [path.basename(result.filePath), result.status, result.reason]), [
+      ['binary.js', 'skipped', 'binary file'],
+      ['latin1.js', 'skipped', 'not valid UTF-8'],
+      ['utf16.js', 'skipped', 'UTF-16 encoded; only UTF-8 files are processed'],
+    ]);
+    assert.equal(fs.readFileSync(path.join(tempDir, 'latin1.js'), 'latin1'), "console.log('caf\xe9');\n");
+  });
+
+  it('keeps file permissions and leaves no temporary files behind', { skip: process.platform === 'win32' }, async () => {
+    const file = write('script.js', "#!/usr/bin/env node\nconsole.log('run');\nmain();\n");
+    fs.chmodSync(file, 0o755);
+    await purge('script.js');
+    assert.equal(fs.statSync(file).mode & 0o777, 0o755);
+    assert.equal(fs.readFileSync(file, 'utf8'), '#!/usr/bin/env node\nmain();\n');
+    assert.deepEqual(fs.readdirSync(tempDir).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('writes through symlinks to their target', { skip: process.platform === 'win32' }, async () => {
+    const target = write('target.js', "console.log('a');\nrun();\n");
+    const link = path.join(tempDir, 'link.js');
+    fs.symlinkSync(target, link);
+    await purgeFiles(link, { mode: 'remove' });
+    assert.ok(fs.lstatSync(link).isSymbolicLink());
+    assert.equal(fs.readFileSync(target, 'utf8'), 'run();\n');
+  });
+
+  it('leaves files with syntax errors untouched, even ones the parser can recover from', async () => {
+    const content = "let a = 1;\nlet a = 2;\nconsole.log(a);\n";
+    const file = write('broken.js', content);
+    const { results } = await purge('broken.js');
+    assert.equal(results[0].status, 'error');
+    assert.match(results[0].error, /already been declared/);
+    assert.equal(fs.readFileSync(file, 'utf8'), content);
+  });
+
+  it('does not touch files in a dry run', async () => {
+    const file = write('dry.js', "console.log('a');\n");
+    const { results, runId } = await purge('dry.js', { dryRun: true });
+    assert.equal(results[0].status, 'modified');
+    assert.equal(runId, null);
+    assert.equal(fs.readFileSync(file, 'utf8'), "console.log('a');\n");
+  });
+
+  it('restores the original bytes of a run', async () => {
+    const original = "\uFEFFconst a = 1;\r\nconsole.log(a);\r\n";
+    const file = write('restore.js', original);
+    const { runId } = await purge('restore.js');
+    assert.notEqual(fs.readFileSync(file, 'utf8'), original);
+
+    const { files } = await restoreRun(runId);
+    assert.deepEqual(files.map(entry => entry.status), ['restored']);
+    assert.deepEqual(fs.readFileSync(file), Buffer.from(original));
+    assert.equal(fs.readFileSync(path.join(tempDir, '.log-purge', '.gitignore'), 'utf8'), '*\n');
+  });
+});
@@ -0,0 +1,35 @@
+const log = console.log;
+const { warn, error: fail } = console;
+const c = globalThis.console;
+const info = c.info.bind(console);
+const keep = 1, debug = console.debug;
+
+function run(log) {
+  log('local parameter, not the console');
+}
+
+log('start');
+warn('careful');
+fail('broken');
+c.log('through the object alias');
+info('bound');
+debug('debugging', keep);
+console['log']('computed key');
+self.console.log('through self');
+console.log.call(console, 'via call');
+console[level]('dynamic');
+setTimeout(console.log, 10);
+run(console.log);
+
+function report(console) {
+  console.log('a parameter named console');
+}
+
+function render(window) {
+  window.console.log('a local window');
+}
+
+{
+  const console = createLogger();
+  console.log('a local console');
+}
@@ -0,0 +1,22 @@
+const keep = 1;
+
+function run(log) {
+  log('local parameter, not the console');
+}
+
+console[level]('dynamic');
+setTimeout(console.log, 10);
+run(console.log);
+
+function report(console) {
+  console.log('a parameter named console');
+}
+
+function render(window) {
+  window.console.log('a local window');
+}
+
+{
+  const console = createLogger();
+  console.log('a local console');
+}
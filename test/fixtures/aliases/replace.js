@@ -0,0 +1,31 @@
+const keep = 1;
+
+function run(log) {
+  log('local parameter, not the console');
+}
+
+logger.info('start');
+logger.info('careful');
+logger.info('broken');
+logger.info('through the object alias');
+logger.info('bound');
+logger.info('debugging', keep);
+logger.info('computed key');
+logger.info('through self');
+logger.info('via call');
+console[level]('dynamic');
+setTimeout(console.log, 10);
+run(console.log);
+
+function report(console) {
+  console.log('a parameter named console');
+}
+
+function render(window) {
+  window.console.log('a local window');
+}
+
+{
+  const console = createLogger();
+  console.log('a local console');
+}
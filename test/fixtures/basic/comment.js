@@ -0,0 +1,11 @@
+function greet(name) {
+  // console.log('Hello', name);
+  const message = `Hi ${name}`;
+  // console.info(message);
+  /* console.warn('deprecated'); */ // console.error('failed');
+  return message;
+}
+
+// console.debug('loaded');
+// window.console.table([1, 2]);
+greet('world');
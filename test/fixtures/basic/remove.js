@@ -0,0 +1,6 @@
+function greet(name) {
+  const message = `Hi ${name}`;
+  return message;
+}
+
+greet('world');
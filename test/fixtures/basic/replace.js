@@ -0,0 +1,11 @@
+function greet(name) {
+  logger.info('Hello', name);
+  const message = `Hi ${name}`;
+  logger.info(message);
+  logger.info('deprecated'); logger.info('failed');
+  return message;
+}
+
+logger.info('loaded');
+window.console.table([1, 2]);
+greet('world');
@@ -0,0 +1,10 @@
+import { load } from './load';
+
+const config = load();
+
+
+// console.log('config', config);
+
+export default config;
+/* console.log('a'); */ // console.log('b');
+// console.log('end');
\ No newline at end of file
@@ -0,0 +1,7 @@
+import { load } from './load';
+
+const config = load();
+
+
+
+export default config;
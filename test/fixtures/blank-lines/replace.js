@@ -0,0 +1,10 @@
+import { load } from './load';
+
+const config = load();
+
+
+logger.info('config', config);
+
+export default config;
+logger.info('a'); logger.info('b');
+logger.info('end');
\ No newline at end of file
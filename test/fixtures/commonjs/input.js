@@ -0,0 +1,6 @@
+function run(task) {
+  console.log('running', task.name);
+  return task.exec();
+}
+
+module.exports = { run };
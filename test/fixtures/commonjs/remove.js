@@ -0,0 +1,5 @@
+function run(task) {
+  return task.exec();
+}
+
+module.exports = { run };
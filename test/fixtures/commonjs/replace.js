@@ -0,0 +1,7 @@
+const logger = require('./logger');
+function run(task) {
+  logger.info('running', task.name);
+  return task.exec();
+}
+
+module.exports = { run };
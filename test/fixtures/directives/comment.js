@@ -0,0 +1,8 @@
+// console.log('removed');
+// log-purge-disable-next-line -- startup banner
+console.log('Server started');
+/* log-purge-disable */
+console.warn('kept in range');
+console.error('also kept');
+/* log-purge-enable */
+// console.info('removed again');
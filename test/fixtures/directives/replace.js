@@ -0,0 +1,8 @@
+logger.info('removed');
+// log-purge-disable-next-line -- startup banner
+console.log('Server started');
+/* log-purge-disable */
+console.warn('kept in range');
+console.error('also kept');
+/* log-purge-enable */
+logger.info('removed again');
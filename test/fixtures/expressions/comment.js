@@ -0,0 +1,7 @@
+const ready = isReady() && /* console.log('ready') */ void 0;
+const onClick = () => /* console.info('clicked') */ void 0;
+if (debug) /* console.debug('debugging'); */;
+else /* console.warn('not debugging'); */;
+const result = /* console.log('value') */ void 0 ?? fallback;
+console.log('chained').toString();
+for (const line of lines) /* console.log(line); */;
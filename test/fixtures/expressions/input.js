@@ -0,0 +1,7 @@
+const ready = isReady() && console.log('ready');
+const onClick = () => console.info('clicked');
+if (debug) console.debug('debugging');
+else console.warn('not debugging');
+const result = console.log('value') ?? fallback;
+console.log('chained').toString();
+for (const line of lines) console.log(line);
@@ -0,0 +1,7 @@
+const ready = isReady() && void 0;
+const onClick = () => void 0;
+if (debug) ;
+else ;
+const result = void 0 ?? fallback;
+console.log('chained').toString();
+for (const line of lines) ;
@@ -0,0 +1,7 @@
+const ready = isReady() && logger.info('ready');
+const onClick = () => logger.info('clicked');
+if (debug) logger.info('debugging');
+else logger.info('not debugging');
+const result = logger.info('value') ?? fallback;
+logger.info('chained').toString();
+for (const line of lines) logger.info(line);
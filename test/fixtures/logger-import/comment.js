@@ -0,0 +1,15 @@
+'use strict';
+
+const path = require('path');
+
+// console.log('resolved', path.resolve('.'));
+// console.error('failed');
+
+function withParameter(logger) {
+  // console.log('the parameter is not the logger');
+}
+
+function withLocal() {
+  const logger = 1;
+  // console.error(logger);
+}
@@ -0,0 +1,11 @@
+'use strict';
+
+const path = require('path');
+
+
+function withParameter(logger) {
+}
+
+function withLocal() {
+  const logger = 1;
+}
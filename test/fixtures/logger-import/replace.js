@@ -0,0 +1,16 @@
+'use strict';
+
+const path = require('path');
+const logger = require('./logger');
+
+logger.debug('resolved', path.resolve('.'));
+logger.error('failed');
+
+function withParameter(logger) {
+  console.log('the parameter is not the logger');
+}
+
+function withLocal() {
+  const logger = 1;
+  console.error(logger);
+}
@@ -0,0 +1,4 @@
+console.log('debug output');
+console.error('real error');
+console.warn('real warning');
+console.table(rows);
@@ -0,0 +1,2 @@
+console.error('real error');
+console.warn('real warning');
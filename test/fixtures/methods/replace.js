@@ -0,0 +1,4 @@
+logger.info('debug output');
+console.error('real error');
+console.warn('real warning');
+console.table(rows);
@@ -0,0 +1,14 @@
+function render(items) {
+  console.log(
+    'Rendering',
+    items.map(item => ({ id: item.id, label: `(${item.label})` })),
+    'done;'
+  );
+  console.table(items.filter(item => {
+    return item.visible;
+  }));
+  const total = items.length;
+  console.log(`Total:
+  ${total}`);
+  return total;
+}
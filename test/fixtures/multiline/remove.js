@@ -0,0 +1,4 @@
+function render(items) {
+  const total = items.length;
+  return total;
+}
@@ -0,0 +1,14 @@
+function render(items) {
+  logger.info(
+    'Rendering',
+    items.map(item => ({ id: item.id, label: `(${item.label})` })),
+    'done;'
+  );
+  console.table(items.filter(item => {
+    return item.visible;
+  }));
+  const total = items.length;
+  logger.info(`Total:
+  ${total}`);
+  return total;
+}
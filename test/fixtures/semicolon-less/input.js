@@ -0,0 +1,16 @@
+const items = getItems()
+console.log(items)
+;[1, 2].forEach(fn)
+
+const total = sum(items)
+console.log('total', total);
+(async () => run(total))()
+
+function render(view) {
+  const html = view.render()
+  console.log(html); // rendered
+  [html].forEach(print)
+  console.log('done'); /* after */ foo()
+  console.log(/* x */ html); foo()
+  return <b onClick={() => { console.log("a */ b") }} />
+}
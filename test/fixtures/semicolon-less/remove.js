@@ -0,0 +1,14 @@
+const items = getItems()
+;[1, 2].forEach(fn)
+
+const total = sum(items)
+;(async () => run(total))()
+
+function render(view) {
+  const html = view.render()
+  // rendered
+  ;[html].forEach(print)
+   /* after */ foo()
+   foo()
+  return <b onClick={() => {  }} />
+}
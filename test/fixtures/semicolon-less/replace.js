@@ -0,0 +1,16 @@
+const items = getItems()
+logger.info(items)
+;[1, 2].forEach(fn)
+
+const total = sum(items)
+logger.info('total', total);
+(async () => run(total))()
+
+function render(view) {
+  const html = view.render()
+  logger.info(html); // rendered
+  [html].forEach(print)
+  logger.info('done'); /* after */ foo()
+  logger.info(/* x */ html); foo()
+  return <b onClick={() => { logger.info("a */ b") }} />
+}
@@ -0,0 +1,6 @@
+let count = 0;
+// console.log('saved', save(user));
+// console.log('count', count++, 'pure', count);
+const next = () => /* console.log(fetchNext()) */ void 0;
+// console.log(...collect());
+// console.log('only pure', count, user.name);
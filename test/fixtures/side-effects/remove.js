@@ -0,0 +1,5 @@
+let count = 0;
+save(user);
+count++;
+const next = () => (fetchNext(), void 0);
+[...collect()];
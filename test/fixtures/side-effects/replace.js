@@ -0,0 +1,6 @@
+let count = 0;
+logger.info('saved', save(user));
+logger.info('count', count++, 'pure', count);
+const next = () => logger.info(fetchNext());
+logger.info(...collect());
+logger.info('only pure', count, user.name);
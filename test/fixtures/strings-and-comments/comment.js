@@ -0,0 +1,6 @@
+const help = 'Call console.log("x") to debug';
+const template = `console.warn(${help.length})`;
+// console.log('commented out already');
+/* console.error('in a block comment') */
+const re = /console\.log\(/;
+// console.log(help, template, re);
@@ -0,0 +1,14 @@
+import debug from 'debug';
+
+export function handler(event) {
+  // debug('handling %o', event);
+  logger.debug('entering handler');
+  // this.$log.info('vue logger');
+  // alert('handled');
+  if (event.broken) ;
+  // console.log('console is still purged');
+  const log = debug('app');
+  log('started');
+  const child = this.$log.child('x');
+  return event;
+}
@@ -0,0 +1,15 @@
+import debug from 'debug';
+
+export function handler(event) {
+  debugger;
+  debug('handling %o', event);
+  logger.trace('entering handler');
+  this.$log.info('vue logger');
+  alert('handled');
+  if (event.broken) debugger;
+  console.log('console is still purged');
+  const log = debug('app');
+  log('started');
+  const child = this.$log.child('x');
+  return event;
+}
@@ -0,0 +1,11 @@
+import debug from 'debug';
+
+export function handler(event) {
+  logger.debug('entering handler');
+  // this.$log.info('vue logger');
+  if (event.broken) ;
+  const log = debug('app');
+  log('started');
+  const child = this.$log.child('x');
+  return event;
+}
@@ -0,0 +1,14 @@
+import debug from 'debug';
+
+export function handler(event) {
+  logger.info('handling %o', event);
+  logger.debug('entering handler');
+  // this.$log.info('vue logger');
+  logger.info('handled');
+  if (event.broken) ;
+  logger.info('console is still purged');
+  const log = debug('app');
+  log('started');
+  const child = this.$log.child('x');
+  return event;
+}
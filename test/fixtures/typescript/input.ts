@@ -0,0 +1,11 @@
+interface User {
+  id: number;
+  name: string;
+}
+
+export function describe(user: User): string {
+  console.log<string>(`user ${user.id}`);
+  const label = (console.info(user) as unknown) ?? user.name;
+  console.debug(user!.name satisfies string);
+  return String(label);
+}
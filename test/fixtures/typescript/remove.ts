@@ -0,0 +1,9 @@
+interface User {
+  id: number;
+  name: string;
+}
+
+export function describe(user: User): string {
+  const label = (void 0 as unknown) ?? user.name;
+  return String(label);
+}
@@ -0,0 +1,11 @@
+interface User {
+  id: number;
+  name: string;
+}
+
+export function describe(user: User): string {
+  logger.info(`user ${user.id}`);
+  const label = (logger.info(user) as unknown) ?? user.name;
+  logger.info(user!.name satisfies string);
+  return String(label);
+}
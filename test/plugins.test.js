@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rollupPlugin = require('../src/plugins/rollup');
+const vitePlugin = require('../src/plugins/vite');
+const webpackLoader = require('../src/plugins/webpack');
+const esbuildPlugin = require('../src/plugins/esbuild');
+
+const SOURCE = "export function run() {\n  console.log('running');\n  return 1;\n}\n";
+const PURGED = 'export function run() {\n  return 1;\n}\n';
+
+let tempDir;
+let file;
+
+/**
+ * Runs the webpack loader the way webpack would and resolves with what it
+ * passes to its callback.
+ */
+function runLoader(resourcePath, source, options = {}) {
+  return new Promise((resolve, reject) => {
+    const warnings = [];
+    const context = {
+      resourcePath,
+      sourceMap: true,
+      getOptions: () => options,
+      emitWarning: warning => warnings.push(warning),
+      async: () => (error, code, map) => (error ? reject(error) : resolve({ code, map, warnings })),
+    };
+    webpackLoader.call(context, source, undefined, undefined);
+  });
+}
+
+/**
+ * Sets the esbuild plugin up on a stand-in build and returns its onLoad
+ * registration.
+ */
+function setupEsbuild(pluginOptions, initialOptions = {}) {
+  const registrations = [];
+  esbuildPlugin(pluginOptions).setup({ initialOptions, onLoad: (options, callback) => registrations.push({ options, callback }) });
+  return registrations[0];
+}
+
+describe('bundler plugins', () => {
+  before(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'log-purge-plugins-')));
+    file = path.join(tempDir, 'app.js');
+    fs.writeFileSync(file, SOURCE);
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('rollup', () => {
+    it('purges modules and returns a source map', async () => {
+      const result = await rollupPlugin().transform.call({ warn() {} }, SOURCE, file);
+      assert.equal(result.code, PURGED);
+      assert.equal(result.map.version, 3);
+      assert.ok(result.map.mappings);
+    });
+
+    it('leaves virtual modules, sub-requests and dependencies alone', async () => {
+      const plugin = rollupPlugin();
+      for (const id of ['\0virtual.js', `${file}?worker`, path.join(tempDir, 'node_modules/dep/index.js'), path.join(tempDir, 'style.css')]) {
+        assert.equal(await plugin.transform.call({ warn() {} }, SOURCE, id), null);
+      }
+    });
+
+    it('warns about code it cannot parse', async () => {
+      const warnings = [];
+      const result = await rollupPlugin().transform.call({ warn: message => warnings.push(message) }, 'console.log(', file);
+      assert.equal(result, null);
+      assert.equal(warnings.length, 1);
+    });
+  });
+
+  describe('vite', () => {
+    it('runs before the other plugins and purges like the rollup one', async () => {
+      const plugin = vitePlugin({ keep: ['error'] });
+      assert.equal(plugin.enforce, 'pre');
+      const result = await plugin.transform.call({ warn() {} }, "console.error('kept');\nconsole.log('gone');\n", file);
+      assert.equal(result.code, "console.error('kept');\n");
+      assert.ok(result.map.mappings);
+    });
+  });
+
+  describe('webpack', () => {
+    it('purges modules and returns a source map', async () => {
+      const { code, map } = await runLoader(file, SOURCE);
+      assert.equal(code, PURGED);
+      assert.deepEqual(map.sources, [file]);
+    });
+
+    it('passes dependencies through untouched', async () => {
+      const { code, map } = await runLoader(path.join(tempDir, 'node_modules/dep/index.js'), SOURCE);
+      assert.equal(code, SOURCE);
+      assert.equal(map, undefined);
+    });
+  });
+
+  describe('esbuild', () => {
+    it('only loads files from the file namespace', () => {
+      assert.equal(setupEsbuild().options.namespace, 'file');
+    });
+
+    it('purges files with an inline source map', async () => {
+      const result = await setupEsbuild().callback({ path: file, namespace: 'file' });
+      assert.equal(result.loader, 'js');
+      assert.ok(result.contents.startsWith(PURGED));
+      assert.match(result.contents, /\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,/);
+    });
+
+    it('keeps the loader the build configures and skips other loaders', async () => {
+      const jsx = await setupEsbuild({}, { loader: { '.js': 'jsx' } }).callback({ path: file, namespace: 'file' });
+      assert.equal(jsx.loader, 'jsx');
+      assert.equal(await setupEsbuild({}, { loader: { '.js': 'text' } }).callback({ path: file, namespace: 'file' }), undefined);
+    });
+
+    it('leaves dependencies and unreadable files to esbuild', async () => {
+      const { callback } = setupEsbuild();
+      assert.equal(await callback({ path: path.join(tempDir, 'node_modules/dep/index.js'), namespace: 'file' }), undefined);
+      assert.equal(await callback({ path: path.join(tempDir, 'missing.js'), namespace: 'file' }), undefined);
+    });
+
+    it('purges a real bundle', async () => {
+      const esbuild = require('esbuild');
+      fs.writeFileSync(path.join(tempDir, 'entry.js'), "import { run } from './app.js';\nimport view from 'virtual:view';\nconsole.log(view);\nrun(<b />);\n");
+      const result = await esbuild.build({
+        entryPoints: [path.join(tempDir, 'entry.js')],
+        bundle: true,
+        write: false,
+        format: 'esm',
+        jsx: 'preserve',
+        loader: { '.js': 'jsx' },
+        sourcemap: 'inline',
+        logLevel: 'silent',
+        plugins: [
+          {
+            name: 'virtual',
+            setup(build) {
+              build.onResolve({ filter: /^virtual:/ }, args => ({ path: args.path, namespace: 'virtual' }));
+              build.onLoad({ filter: /.*/, namespace: 'virtual' }, () => ({ contents: "console.log('virtual');\nexport default 1;\n", loader: 'js' }));
+            },
+          },
+          esbuildPlugin(),
+        ],
+      });
+      const output = result.outputFiles[0].text;
+      assert.doesNotMatch(output, /console\.log\('running'\)|console\.log\(view/);
+      // The virtual module is not a file, so it is left as it is
+      assert.match(output, /console\.log\("virtual"\)/);
+      assert.match(output, /run\(<b \/>\)/);
+      assert.match(output, /sourceMappingURL=data:application\/json/);
+    });
+  });
+});
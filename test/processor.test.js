@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { purgeSource } = require('../src');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MODES = ['remove', 'comment', 'replace'];
+
+// Set UPDATE_FIXTURES=1 to write the current output as the expected one
+const update = Boolean(process.env.UPDATE_FIXTURES);
+
+/**
+ * Each folder in fixtures/ is a case: input.<ext>, the expected output of
+ * every mode as <mode>.<ext> and optionally the options in options.json.
+ */
+function readCase(name) {
+  const dir = path.join(FIXTURES, name);
+  const input = fs.readdirSync(dir).find(file => file.startsWith('input.'));
+  const ext = path.extname(input);
+  const optionsPath = path.join(dir, 'options.json');
+  return {
+    dir,
+    ext,
+    filename: `${name}${ext}`,
+    code: fs.readFileSync(path.join(dir, input), 'utf8'),
+    options: fs.existsSync(optionsPath) ? JSON.parse(fs.readFileSync(optionsPath, 'utf8')) : {},
+  };
+}
+
+describe('purgeSource fixtures', () => {
+  fs.readdirSync(FIXTURES).sort().forEach(name => {
+    const fixture = readCase(name);
+    describe(name, () => {
+      MODES.forEach(mode => {
+        it(`${mode} mode`, async () => {
+          const result = await purgeSource(fixture.code, {
+            replaceWith: 'logger.info',
+            ...fixture.options,
+            filename: fixture.filename,
+            mode,
+          });
+          const expectedPath = path.join(fixture.dir, `${mode}${fixture.ext}`);
+          if (update) fs.writeFileSync(expectedPath, result.code);
+          assert.equal(result.code, fs.readFileSync(expectedPath, 'utf8'));
+        });
+      });
+
+      it('leaves its output with nothing left to purge', async () => {
+        const result = await purgeSource(fs.readFileSync(path.join(fixture.dir, `remove${fixture.ext}`), 'utf8'), {
+          ...fixture.options,
+          filename: fixture.filename,
+          mode: 'remove',
+        });
+        assert.equal(result.changes, 0);
+      });
+    });
+  });
+});
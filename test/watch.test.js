@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { watch } = require('../src/watch');
+const { restoreRun } = require('../src/journal');
+
+const originalCwd = process.cwd();
+const originalLog = console.log;
+let tempDir;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves once a file holds `expected`, polling because the watcher reacts
+ * asynchronously.
+ */
+async function waitForContent(file, expected, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (fs.readFileSync(file, 'utf8') !== expected) {
+    if (Date.now() > deadline) {
+      assert.equal(fs.readFileSync(file, 'utf8'), expected);
+    }
+    await delay(20);
+  }
+}
+
+describe('watch --fix', () => {
+  // The journal is written to the working directory, so the tests run in a temporary one
+  before(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'log-purge-watch-')));
+    process.chdir(tempDir);
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = originalLog;
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('restores a file purged on two saves without losing the edits in between', async () => {
+    const file = path.join(tempDir, 'app.js');
+    fs.writeFileSync(file, 'first();\n');
+    const watcher = await watch([tempDir], { mode: 'remove', fix: true, extensions: 'js,ts', debounce: 10, concurrency: 4 });
+
+    fs.writeFileSync(file, 'console.log(1);\nfirst();\n');
+    await waitForContent(file, 'first();\n');
+    // Like a person saving again, not within the same instant as the watcher's own write
+    await delay(200);
+    fs.writeFileSync(file, 'first();\nsecond();\nconsole.log(2);\n');
+    await waitForContent(file, 'first();\nsecond();\n');
+    const { runId } = await watcher.close();
+
+    const { files } = await restoreRun(runId);
+    assert.deepEqual(files.map(entry => [path.basename(entry.path), entry.status]), [['app.js', 'partial']]);
+    assert.equal(fs.readFileSync(file, 'utf8'), 'first();\nsecond();\nconsole.log(2);\n');
+  });
+});